@@ -20,15 +20,27 @@ class TagonCLI {
   }
 
   async initialize() {
-    await this.storageManager.initialize();
+    const recoveries = await this.storageManager.initialize();
     console.log(chalk.blue.bold('🗃️  TagonJS v2.0 - Sistema de Banco de Dados Educativo'));
+    this.showRecoveries(recoveries);
     console.log(chalk.gray('Digite "ajuda" para ver os comandos disponíveis ou "sair" para encerrar.\n'));
     this.showPrompt();
   }
 
+  showRecoveries(recoveries) {
+    for (const recovery of recoveries) {
+      console.log(chalk.yellow(
+        `🩹 Banco '${recovery.banco}' recuperado do journal (versão ${recovery.versao}): ` +
+        `${recovery.operacoes.length} operação(ões) reaplicada(s)`
+      ));
+      recovery.operacoes.forEach(operacao => console.log(chalk.gray(`   - ${operacao}`)));
+    }
+  }
+
   showPrompt() {
+    const transaction = this.storageManager.isInTransaction() ? ' (transação)' : '';
     const prompt = this.currentDatabase 
-      ? chalk.cyan(`TagonJS [${this.currentDatabase}] > `)
+      ? chalk.cyan(`TagonJS [${this.currentDatabase}]${transaction} > `)
       : chalk.cyan('TagonJS > ');
     rl.question(prompt, (input) => this.processInput(input));
   }
@@ -46,6 +58,10 @@ class TagonCLI {
       if (command.toLowerCase() === 'ajuda' || command.toLowerCase() === 'help') {
         this.showHelp();
       } else if (command.toLowerCase() === 'sair' || command.toLowerCase() === 'exit') {
+        if (this.storageManager.isInTransaction()) {
+          this.storageManager.rollbackTransaction();
+          console.log(chalk.yellow('↩️ Transação em andamento foi desfeita'));
+        }
         console.log(chalk.yellow('👋 Até logo!'));
         rl.close();
         return;
@@ -65,8 +81,11 @@ class TagonCLI {
   async handleUseDatabase(command) {
     const match = command.match(/usar banco (\w+)/i);
     if (match) {
-      const dbName = match[1];
-      if (await this.storageManager.databaseExists(dbName)) {
+      // Nomes de banco seguem a mesma regra dos identificadores: sem diferenciar maiúsculas
+      const dbName = match[1].toLowerCase();
+      if (this.storageManager.isInTransaction()) {
+        console.log(chalk.red('❌ Finalize a transação (confirmar ou desfazer) antes de trocar de banco'));
+      } else if (await this.storageManager.databaseExists(dbName)) {
         this.currentDatabase = dbName;
         this.queryExecutor.setCurrentDatabase(dbName);
         console.log(chalk.green(`🗂️ Banco '${dbName}' selecionado`));
@@ -85,18 +104,26 @@ class TagonCLI {
     const parser = new Parser(tokens);
     const ast = parser.parse();
     
-    // Execução
-    const result = await this.queryExecutor.execute(ast);
+    // Execução (uma linha pode conter vários comandos separados por ';')
+    const statements = Array.isArray(ast) ? ast : [ast];
     
-    if (result.sucesso) {
-      console.log(chalk.green(result.mensagem));
+    for (const statement of statements) {
+      const result = await this.queryExecutor.execute(statement);
+      
+      // O banco atual pode deixar de existir (apagar banco)
+      this.currentDatabase = this.queryExecutor.currentDatabase;
       
-      // Se há resultados, formatá-los
-      if (result.resultados && result.resultados.length > 0) {
-        this.formatResults(result.resultados);
+      if (result.sucesso) {
+        console.log(chalk.green(result.mensagem));
+        
+        // Se há resultados, formatá-los
+        if (result.resultados && result.resultados.length > 0) {
+          this.formatResults(result.resultados);
+        }
+      } else {
+        console.log(chalk.red(result.mensagem));
+        break;
       }
-    } else {
-      console.log(chalk.red(result.mensagem));
     }
   }
 
@@ -114,7 +141,7 @@ class TagonCLI {
     columns.forEach(col => {
       widths[col] = Math.max(
         col.length,
-        Math.max(...results.map(row => String(row[col] || '').length))
+        Math.max(...results.map(row => this.formatValue(row[col]).length))
       );
     });
 
@@ -133,7 +160,7 @@ class TagonCLI {
     // Dados
     results.forEach(row => {
       const dataLine = '│' + columns.map(col => {
-        const value = String(row[col] || '');
+        const value = this.formatValue(row[col]);
         return ` ${value.padEnd(widths[col])} `;
       }).join('│') + '│';
       console.log(dataLine);
@@ -144,6 +171,12 @@ class TagonCLI {
     console.log(bottomLine);
   }
 
+  formatValue(value) {
+    if (value === null || value === undefined) return 'nulo';
+    if (typeof value === 'boolean') return value ? 'verdadeiro' : 'falso';
+    return String(value);
+  }
+
 // src/cli-new.js (continuação - finalizando a classe)
 
   showHelp() {
@@ -153,23 +186,51 @@ class TagonCLI {
 🗄️  Gerenciamento de Bancos:
    criar banco NOME                    - Cria um novo banco de dados
    usar banco NOME                     - Seleciona um banco para usar
+   apagar banco NOME                   - Apaga um banco de dados
+   mostrar bancos                      - Lista os bancos existentes
 
 📋 Gerenciamento de Tabelas:
    criar tabela NOME (colunas)         - Cria uma nova tabela
+   mostrar tabelas                     - Lista as tabelas do banco atual
+   descrever tabela NOME               - Mostra colunas, tipos e constraints
+   apagar tabela NOME                  - Apaga uma tabela
+   alterar tabela NOME adicionar coluna COL:TIPO   - Adiciona uma coluna
+   alterar tabela NOME remover coluna COL          - Remove uma coluna
+   alterar tabela NOME renomear coluna COL para NOVO - Renomeia uma coluna
+   alterar tabela NOME renomear para NOVO          - Renomeia a tabela
    
 📊 Consultas (SELECT):
    selecionar * de TABELA              - Seleciona todos os registros
    selecionar COLUNAS de TABELA        - Seleciona colunas específicas
    selecionar * de TAB1 juntar TAB2 em TAB1.id = TAB2.id - JOIN
+   ... esquerda | direita | completa juntar TAB2 em ...  - LEFT, RIGHT e FULL JOIN
+   selecionar * de TAB1 cruzar TAB2    - CROSS JOIN (todas as combinações)
    ... onde CONDICAO                   - Filtrar resultados
    ... ordenar por COLUNA              - Ordenar resultados
    ... agrupar por COLUNA              - Agrupar resultados
+   ... tendo CONDICAO                  - Filtrar grupos (após agrupar por)
+   ... limitar N pular M               - Paginar resultados
+   selecionar preco * 2 de TABELA      - Expressões aritméticas (+ - * / %)
+   selecionar distinto COLUNAS de TAB  - Remove linhas repetidas do resultado
+   contar, somar, media, minimo, maximo - Funções agregadas (ex: contar(*))
+   maiusculo, tamanho, arredondar, ... - Funções escalares (ex: maiusculo(nome))
+   agora, hoje, ano, mes, dia, ...     - Funções de data (ex: ano(data_pedido))
+   explicar selecionar ...             - Mostra o plano de execução da consulta
 
 📝 Manipulação de Dados:
    inserir em TABELA (cols) valores (vals) - Insere um novo registro
+   ... valores (vals), (vals), ...     - Insere vários registros de uma vez
+   inserir em TABELA (cols) selecionar ... - Insere o resultado de uma consulta
+   ... ao conflitar (col) atualizar definir COL=novo.COL - Atualiza o registro que já existe
+   ... ao conflitar ignorar            - Ignora registros que já existem
    atualizar TABELA definir COL=VAL onde...  - Atualiza registros
    remover de TABELA onde CONDICAO      - Remove registros
 
+🔒 Transações:
+   iniciar                             - Inicia uma transação
+   confirmar                           - Grava as alterações da transação
+   desfazer                            - Descarta as alterações da transação
+
 🔧 Outros:
    ajuda                               - Mostra esta ajuda
    sair                                - Encerra o programa
@@ -0,0 +1,164 @@
+// src/constraints/referential.js
+
+// Ações referenciais suportadas em "ao remover" / "ao atualizar"
+const ReferentialAction = {
+  RESTRICT: 'RESTRICT',
+  CASCADE: 'CASCADE',
+  SET_NULL: 'SET_NULL'
+};
+
+/**
+ * Aplica as ações referenciais (RESTRICT, CASCADE, SET_NULL) das chaves
+ * estrangeiras de todas as tabelas quando registros referenciados são
+ * removidos ou têm a coluna referenciada alterada.
+ *
+ * Trabalha sobre o banco inteiro carregado em memória: se alguma ação for
+ * bloqueada, um erro é lançado antes de qualquer gravação.
+ */
+class ReferentialIntegrity {
+  constructor(storageManager) {
+    this.storageManager = storageManager;
+  }
+
+  applyDelete(dbData, tableName, regIds) {
+    const summary = { removed: 0, cascaded: 0, nullified: 0 };
+    this.deleteRows(dbData, tableName, regIds, summary, false);
+    return summary;
+  }
+
+  deleteRows(dbData, tableName, regIds, summary, isCascade) {
+    const registros = dbData.banco.tabelas[tableName].registros || {};
+    const ids = regIds.filter(regId => registros[regId] !== undefined);
+
+    if (ids.length === 0) return;
+
+    // Remover antes de seguir as referências, para que ciclos e
+    // auto-referências não encontrem as próprias linhas removidas
+    const deletedRows = ids.map(regId => registros[regId]);
+    for (const regId of ids) {
+      delete registros[regId];
+    }
+
+    if (isCascade) {
+      summary.cascaded += ids.length;
+    } else {
+      summary.removed += ids.length;
+    }
+
+    for (const ref of this.storageManager.findReferencingConstraints(dbData, tableName)) {
+      const { referencedColumn } = ref.constraint.options;
+      const removedValues = deletedRows
+        .map(row => row[referencedColumn])
+        .filter(value => value !== null && value !== undefined);
+
+      const blocking = this.findReferencingRows(dbData, ref, removedValues);
+      if (blocking.length === 0) continue;
+
+      switch (ref.constraint.options.onDelete || ReferentialAction.RESTRICT) {
+        case ReferentialAction.CASCADE:
+          this.deleteRows(dbData, ref.tableName, blocking.map(([regId]) => regId), summary, true);
+          break;
+        case ReferentialAction.SET_NULL:
+          summary.nullified += this.nullifyRows(dbData, ref, blocking);
+          break;
+        default:
+          throw new Error(
+            `Não é possível remover de '${tableName}': ${this.describeRows(dbData, ref, blocking)}`
+          );
+      }
+    }
+  }
+
+  // changes: [{ column, oldValue, newValue }] já aplicados à tabela
+  applyUpdate(dbData, tableName, changes) {
+    const summary = { cascaded: 0, nullified: 0 };
+    this.propagateUpdate(dbData, tableName, changes, summary);
+    return summary;
+  }
+
+  propagateUpdate(dbData, tableName, changes, summary) {
+    const registros = dbData.banco.tabelas[tableName].registros || {};
+
+    for (const ref of this.storageManager.findReferencingConstraints(dbData, tableName)) {
+      const { referencedColumn } = ref.constraint.options;
+
+      for (const change of changes) {
+        if (change.column !== referencedColumn) continue;
+        if (change.oldValue === null || change.oldValue === undefined) continue;
+
+        // O valor antigo ainda existe em outra linha (ex: troca de valores): nada a fazer
+        const stillReferenced = Object.values(registros)
+          .some(record => record[referencedColumn] === change.oldValue);
+        if (stillReferenced) continue;
+
+        const blocking = this.findReferencingRows(dbData, ref, [change.oldValue]);
+        if (blocking.length === 0) continue;
+
+        switch (ref.constraint.options.onUpdate || ReferentialAction.RESTRICT) {
+          case ReferentialAction.CASCADE:
+            for (const [, record] of blocking) {
+              record[ref.constraint.columnName] = change.newValue;
+            }
+            summary.cascaded += blocking.length;
+            this.propagateUpdate(dbData, ref.tableName, [{
+              column: ref.constraint.columnName,
+              oldValue: change.oldValue,
+              newValue: change.newValue
+            }], summary);
+            break;
+          case ReferentialAction.SET_NULL:
+            summary.nullified += this.nullifyRows(dbData, ref, blocking);
+            break;
+          default:
+            throw new Error(
+              `Não é possível alterar '${tableName}.${referencedColumn}' = ${change.oldValue}: ` +
+              this.describeRows(dbData, ref, blocking)
+            );
+        }
+      }
+    }
+  }
+
+  findReferencingRows(dbData, ref, values) {
+    const valueSet = new Set(values);
+    const registros = dbData.banco.tabelas[ref.tableName].registros || {};
+
+    return Object.entries(registros)
+      .filter(([, record]) => valueSet.has(record[ref.constraint.columnName]));
+  }
+
+  nullifyRows(dbData, ref, rows) {
+    const { columnName } = ref.constraint;
+    const constraints = this.storageManager.constraintValidator.getColumnConstraints(
+      dbData.banco.tabelas[ref.tableName],
+      columnName
+    );
+
+    if (constraints.includes('NOT_NULL') || constraints.includes('PRIMARY_KEY')) {
+      throw new Error(`Não é possível anular '${ref.tableName}.${columnName}': a coluna não aceita nulos`);
+    }
+
+    // Registros não guardam colunas nulas
+    for (const [, record] of rows) {
+      delete record[columnName];
+    }
+
+    return rows.length;
+  }
+
+  describeRows(dbData, ref, rows) {
+    const tableData = dbData.banco.tabelas[ref.tableName];
+    const validator = this.storageManager.constraintValidator;
+    const primaryKey = Object.keys(tableData.colunas)
+      .find(column => validator.getColumnConstraints(tableData, column).includes('PRIMARY_KEY'));
+
+    const identifiers = rows.map(([regId, record]) =>
+      primaryKey ? `${primaryKey}=${record[primaryKey]}` : regId
+    );
+
+    return `${rows.length} registro(s) de '${ref.tableName}' ainda referenciam este valor ` +
+      `por '${ref.constraint.columnName}' (${identifiers.join(', ')})`;
+  }
+}
+
+module.exports = { ReferentialIntegrity, ReferentialAction };
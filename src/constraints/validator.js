@@ -1,78 +1,378 @@
 // src/constraints/validator.js
+const { normalizarData, normalizarDataHora } = require('../util');
+
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const BOOLEAN_LITERALS = {
+  verdadeiro: true,
+  true: true,
+  falso: false,
+  false: false
+};
+
 class ConstraintValidator {
   constructor(storageManager) {
     this.storageManager = storageManager;
   }
 
-async validateInsert(databaseName, tableName, record, tableData) {
+// Valida um lote de registros a inserir: cada um é comparado com a tabela e com os
+// anteriores do lote. Os registros são convertidos e completados (auto incremento,
+// valores padrão) no lugar. Com mais de um registro, os erros indicam a posição no lote
+async validateInsert(databaseName, tableName, records, tableData) {
   const errors = [];
+  // Os registros gravados são consultados pelos índices; 'seen' guarda só as combinações do lote
+  const uniqueKeys = this.getUniqueKeys(tableData).map(uniqueKey => ({ ...uniqueKey, seen: new Set() }));
+  const foreignKeys = (tableData.constraints || []).filter(constraint => constraint.type === 'FOREIGN_KEY');
+  const lookups = new Map();
+  const batchValues = new Map(); // auto-referência: coluna referenciada -> Set de valores do lote
+  const nextValues = new Map(); // próximo valor de cada coluna com auto incremento
   
-  // Aplicar auto increment e valores padrão
-  await this.applyAutoValues(record, tableData);
+  for (const [i, record] of records.entries()) {
+    // Converter os valores informados para o tipo de cada coluna
+    const recordErrors = this.coerceRecord(record, tableData);
+    
+    // Aplicar auto increment e valores padrão
+    await this.applyAutoValues(record, tableData, nextValues);
+    
+    // Validar constraints de coluna
+    for (const columnName of Object.keys(tableData.colunas)) {
+      const value = record[columnName];
+      const constraints = this.getColumnConstraints(tableData, columnName);
+      
+      // NOT NULL
+      if (constraints.includes('NOT_NULL') && (value === null || value === undefined)) {
+        recordErrors.push(`Coluna '${columnName}' não pode ser nula`);
+      }
+      
+      // PRIMARY KEY (implica NOT NULL e UNIQUE)
+      if (constraints.includes('PRIMARY_KEY') && (value === null || value === undefined)) {
+        recordErrors.push(`Chave primária '${columnName}' não pode ser nula`);
+      }
+    }
+    
+    // PRIMARY KEY, UNIQUE e índices únicos: a combinação de valores não pode se repetir
+    for (const uniqueKey of uniqueKeys) {
+      const values = uniqueKey.columns.map(columnName => record[columnName]);
+      if (values.some(value => value === null || value === undefined)) continue;
+      
+      const key = JSON.stringify(values);
+      const findStored = await this.getStoredLookup(databaseName, tableName, uniqueKey.columns, lookups);
+      if (uniqueKey.seen.has(key) || (await findStored(values)).length > 0) {
+        recordErrors.push(uniqueKey.describe(values));
+      }
+      uniqueKey.seen.add(key);
+    }
+    
+    // FOREIGN KEYs
+    for (const constraint of foreignKeys) {
+      const value = record[constraint.columnName];
+      if (value === null || value === undefined) continue;
+      
+      const { referencedTable, referencedColumn } = constraint.options;
+      const inBatch = referencedTable === tableName &&
+        batchValues.has(referencedColumn) && batchValues.get(referencedColumn).has(value);
+      const findStored = await this.getStoredLookup(databaseName, referencedTable, [referencedColumn], lookups);
+      
+      if (!inBatch && (await findStored([value])).length === 0) {
+        recordErrors.push(`Chave estrangeira inválida: ${constraint.columnName} = ${value}`);
+      }
+    }
+    
+    // Auto-referência: os registros seguintes do lote podem referenciar este
+    for (const constraint of foreignKeys) {
+      const { referencedTable, referencedColumn } = constraint.options;
+      if (referencedTable !== tableName) continue;
+      
+      if (!batchValues.has(referencedColumn)) {
+        batchValues.set(referencedColumn, new Set());
+      }
+      batchValues.get(referencedColumn).add(record[referencedColumn]);
+    }
+    
+    const prefix = records.length > 1 ? `Registro ${i + 1}: ` : '';
+    errors.push(...recordErrors.map(error => prefix + error));
+  }
   
-  // Validar constraints de coluna
-  for (const [columnName, columnDef] of Object.entries(tableData.colunas)) {
-    const value = record[columnName];
-    const constraints = this.parseConstraints(columnDef['@constraints'] || '');
+  return errors;
+}
+
+  // Chave primária, colunas únicas e índices únicos: { columns, describe(values) }
+  getUniqueKeys(tableData) {
+    const uniqueKeys = [];
     
-    // NOT NULL
-    if (constraints.includes('NOT_NULL') && (value === null || value === undefined)) {
-      errors.push(`Coluna '${columnName}' não pode ser nula`);
+    for (const columnName of Object.keys(tableData.colunas)) {
+      const constraints = this.getColumnConstraints(tableData, columnName);
+      if (constraints.includes('PRIMARY_KEY')) {
+        uniqueKeys.push({
+          columns: [columnName],
+          describe: ([value]) => `Valor duplicado para chave primária '${columnName}': ${value}`
+        });
+      } else if (constraints.includes('UNIQUE')) {
+        uniqueKeys.push({
+          columns: [columnName],
+          describe: ([value]) => `Valor duplicado para coluna única '${columnName}': ${value}`
+        });
+      }
+    }
+    
+    for (const index of tableData.indices || []) {
+      if (!index.unico) continue;
+      uniqueKeys.push({
+        columns: index.colunas,
+        describe: values => `Valor duplicado para índice único '${index.nome}': ${this.describeIndexValues(index, values)}`
+      });
+    }
+    
+    return uniqueKeys;
+  }
+
+  // tableData já contém os novos valores dos registros 'updatedIds' (ainda não gravados)
+  async validateUpdate(databaseName, tableName, tableData, updatedIds, assignedColumns) {
+    const errors = new Set();
+    const registros = tableData.registros || {};
+    const lookups = new Map();
+    
+    for (const columnName of new Set(assignedColumns)) {
+      const constraints = this.getColumnConstraints(tableData, columnName);
+      
+      for (const regId of updatedIds) {
+        const value = registros[regId][columnName];
+        if (value !== null && value !== undefined) continue;
+        
+        if (constraints.includes('NOT_NULL')) {
+          errors.add(`Coluna '${columnName}' não pode ser nula`);
+        }
+        if (constraints.includes('PRIMARY_KEY')) {
+          errors.add(`Chave primária '${columnName}' não pode ser nula`);
+        }
+      }
     }
     
-    // PRIMARY KEY (implica NOT NULL e UNIQUE)
-    if (constraints.includes('PRIMARY_KEY')) {
-      if (value === null || value === undefined) {
-        errors.push(`Chave primária '${columnName}' não pode ser nula`);
+    // PRIMARY KEY, UNIQUE e índices únicos que envolvem colunas alteradas, contra o estado final
+    for (const uniqueKey of this.getUniqueKeys(tableData)) {
+      if (!uniqueKey.columns.some(columnName => assignedColumns.includes(columnName))) {
+        continue;
+      }
+      
+      const countFinal = await this.createFinalStateLookup(
+        databaseName, tableName, registros, updatedIds, uniqueKey.columns, lookups
+      );
+      
+      for (const regId of updatedIds) {
+        const values = uniqueKey.columns.map(columnName => registros[regId][columnName]);
+        if (values.some(value => value === null || value === undefined)) continue;
+        
+        // O próprio registro também é contado
+        if (await countFinal(values) > 1) {
+          errors.add(uniqueKey.describe(values));
+        }
+      }
+    }
+    
+    // FOREIGN KEYs das colunas alteradas
+    for (const constraint of tableData.constraints || []) {
+      if (constraint.type !== 'FOREIGN_KEY' || !assignedColumns.includes(constraint.columnName)) {
+        continue;
+      }
+      
+      const { referencedTable, referencedColumn } = constraint.options;
+      
+      // Auto-referência: validar contra o estado já atualizado da própria tabela
+      let countReferenced;
+      if (referencedTable === tableName) {
+        countReferenced = await this.createFinalStateLookup(
+          databaseName, tableName, registros, updatedIds, [referencedColumn], lookups
+        );
       } else {
-        const isDuplicate = await this.checkDuplicateValue(databaseName, tableName, columnName, value);
-        if (isDuplicate) {
-          errors.push(`Valor duplicado para chave primária '${columnName}': ${value}`);
+        const findStored = await this.getStoredLookup(databaseName, referencedTable, [referencedColumn], lookups);
+        countReferenced = async values => (await findStored(values)).length;
+      }
+      
+      for (const regId of updatedIds) {
+        const value = registros[regId][constraint.columnName];
+        if (value === null || value === undefined) continue;
+        
+        if (await countReferenced([value]) === 0) {
+          errors.add(`Chave estrangeira inválida: ${constraint.columnName} = ${value}`);
         }
       }
     }
     
-    // UNIQUE
-    if (constraints.includes('UNIQUE') && value !== null && value !== undefined) {
-      const isDuplicate = await this.checkDuplicateValue(databaseName, tableName, columnName, value);
-      if (isDuplicate) {
-        errors.push(`Valor duplicado para coluna única '${columnName}': ${value}`);
+    return Array.from(errors);
+  }
+
+  // Busca os regIds dos registros já gravados com estes valores nas colunas. É preparada
+  // uma vez por comando (lookups: 'tabela(colunas)' -> busca) e usa o índice quando houver
+  async getStoredLookup(databaseName, tableName, columns, lookups) {
+    const cacheKey = `${tableName}(${columns.join(', ')})`;
+    
+    if (!lookups.has(cacheKey)) {
+      const tableData = await this.storageManager.loadTable(databaseName, tableName);
+      const index = tableData && this.storageManager.getTableIndex(databaseName, tableName, tableData, columns);
+      lookups.set(cacheKey, index
+        ? async values => index.find(values)
+        : values => this.storageManager.findRecordIds(databaseName, tableName, columns, values));
+    }
+    
+    return lookups.get(cacheKey);
+  }
+
+  // Conta os registros com estes valores no estado final da tabela depois de alterar 'changedIds':
+  // os gravados que o comando não alterou (pelo índice) mais os alterados, comparados em memória
+  async createFinalStateLookup(databaseName, tableName, registros, changedIds, columns, lookups) {
+    const changed = new Set(changedIds);
+    const changedCounts = new Map(); // valores -> quantos registros alterados os têm
+    for (const regId of changedIds) {
+      const key = JSON.stringify(columns.map(columnName => registros[regId][columnName]));
+      changedCounts.set(key, (changedCounts.get(key) || 0) + 1);
+    }
+    
+    const findStored = await this.getStoredLookup(databaseName, tableName, columns, lookups);
+    return async values => (changedCounts.get(JSON.stringify(values)) || 0) +
+      (await findStored(values)).filter(regId => !changed.has(regId)).length;
+  }
+
+  // Constraints de coluna somadas às constraints de tabela (PRIMARY_KEY/UNIQUE) sobre a coluna
+  getColumnConstraints(tableData, columnName) {
+    const columnDef = tableData.colunas[columnName] || {};
+    const constraints = this.parseConstraints(columnDef['@constraints'] || '');
+    
+    for (const constraint of tableData.constraints || []) {
+      if (constraint.columnName === columnName &&
+          ['PRIMARY_KEY', 'UNIQUE'].includes(constraint.type) &&
+          !constraints.includes(constraint.type)) {
+        constraints.push(constraint.type);
+      }
+    }
+    
+    return constraints;
+  }
+
+  // Converte (em place) os valores do registro para o tipo de cada coluna;
+  // retorna as mensagens de erro dos valores que não puderam ser convertidos
+  coerceRecord(record, tableData) {
+    const errors = [];
+    
+    for (const [columnName, value] of Object.entries(record)) {
+      const columnDef = tableData.colunas[columnName];
+      if (!columnDef || value === null || value === undefined) continue;
+      
+      try {
+        record[columnName] = this.coerceValue(value, columnDef['@tipo']);
+      } catch (error) {
+        errors.push(`Valor inválido para coluna '${columnName}' (${columnDef['@tipo']}): ${error.message}`);
       }
     }
+    
+    return errors;
   }
-  
-  // Validar FOREIGN KEYs - CORREÇÃO AQUI
-  if (tableData.constraints && Array.isArray(tableData.constraints)) {
-    for (const constraint of tableData.constraints) {
-      if (constraint.type === 'FOREIGN_KEY') {
-        const value = record[constraint.columnName];
-        if (value !== null && value !== undefined) {
-          const isValid = await this.validateForeignKey(
-            databaseName, 
-            constraint.options.referencedTable,
-            constraint.options.referencedColumn,
-            value
-          );
-          if (!isValid) {
-            errors.push(`Chave estrangeira inválida: ${constraint.columnName} = ${value}`);
-          }
+
+  // Aceita o valor quando já é do tipo da coluna ou quando a conversão não é ambígua
+  coerceValue(value, type) {
+    const { baseType, maxLength } = this.parseColumnType(type);
+    const shown = typeof value === 'string' ? `"${value}"` : String(value);
+    
+    switch (baseType) {
+      case 'numero':
+        if (typeof value === 'number' && isFinite(value)) {
+          return value;
+        }
+        if (typeof value === 'string' && NUMBER_PATTERN.test(value.trim())) {
+          return Number(value.trim());
+        }
+        throw new Error(`${shown} não é um número`);
+        
+      case 'texto':
+        if (typeof value !== 'string' && typeof value !== 'number') {
+          throw new Error(`${shown} não é um texto`);
+        }
+        value = String(value);
+        if (maxLength !== null && value.length > maxLength) {
+          throw new Error(`texto com ${value.length} caracteres excede o máximo de ${maxLength}`);
+        }
+        return value;
+        
+      case 'booleano':
+        if (typeof value === 'boolean') {
+          return value;
+        }
+        if (typeof value === 'string' && BOOLEAN_LITERALS.hasOwnProperty(value.trim().toLowerCase())) {
+          return BOOLEAN_LITERALS[value.trim().toLowerCase()];
         }
+        if (value === 1 || value === 0) {
+          return value === 1;
+        }
+        throw new Error(`${shown} não é um booleano`);
+        
+      case 'uuid':
+        if (typeof value === 'string' && UUID_PATTERN.test(value)) {
+          return value.toLowerCase();
+        }
+        throw new Error(`${shown} não é um UUID válido`);
+        
+      // Datas são gravadas como texto ISO (AAAA-MM-DD e AAAA-MM-DDTHH:MM:SS.mmmZ)
+      case 'data': {
+        const date = normalizarData(value);
+        if (!date) {
+          throw new Error(`${shown} não é uma data (use AAAA-MM-DD)`);
+        }
+        return date;
       }
+        
+      case 'datahora': {
+        const dateTime = normalizarDataHora(value);
+        if (!dateTime) {
+          throw new Error(`${shown} não é uma data e hora (use AAAA-MM-DD HH:MM:SS)`);
+        }
+        return dateTime;
+      }
+        
+      default:
+        return value; // Tipo não reconhecido, aceitar
     }
   }
-  
-  return errors;
-}
 
-  async applyAutoValues(record, tableData) {
+  // Converte o texto lido do XML para o tipo da coluna
+  parseStoredValue(value, type) {
+    if (typeof value !== 'string') return value;
+    
+    switch (this.parseColumnType(type).baseType) {
+      case 'numero':
+        return value.trim() === '' ? value : Number(value);
+      case 'booleano':
+        return value === 'true';
+      default:
+        return value;
+    }
+  }
+
+  // 'texto(50)' -> { baseType: 'texto', maxLength: 50 }
+  parseColumnType(type) {
+    const match = String(type || '').toLowerCase().match(/^(\w+)(?:\((\d+)\))?$/);
+    
+    return {
+      baseType: match ? match[1] : '',
+      maxLength: match && match[2] ? Number(match[2]) : null
+    };
+  }
+
+  // nextValues: próximo valor de cada coluna com auto incremento, compartilhado pelos registros de um lote
+  async applyAutoValues(record, tableData, nextValues = new Map()) {
     for (const [columnName, columnDef] of Object.entries(tableData.colunas)) {
       const constraints = this.parseConstraints(columnDef['@constraints'] || '');
       const type = columnDef['@tipo'];
       
       // AUTO INCREMENT
       if (constraints.includes('AUTO_INCREMENT')) {
+        if (!nextValues.has(columnName)) {
+          nextValues.set(columnName, await this.getNextAutoIncrementValue(tableData, columnName));
+        }
         if (!record[columnName]) {
-          record[columnName] = await this.getNextAutoIncrementValue(tableData, columnName);
+          record[columnName] = nextValues.get(columnName);
+        }
+        // Valores informados explicitamente também avançam o contador
+        if (typeof record[columnName] === 'number') {
+          nextValues.set(columnName, Math.max(nextValues.get(columnName), record[columnName] + 1));
         }
       }
       
@@ -84,7 +384,7 @@ async validateInsert(databaseName, tableName, record, tableData) {
       // DEFAULT VALUE
       const defaultConstraint = constraints.find(c => c.startsWith('DEFAULT:'));
       if (defaultConstraint && (record[columnName] === null || record[columnName] === undefined)) {
-        const defaultValue = defaultConstraint.split(':')[1];
+        const defaultValue = defaultConstraint.substring('DEFAULT:'.length);
         record[columnName] = this.parseDefaultValue(defaultValue, type);
       }
     }
@@ -109,24 +409,11 @@ async validateInsert(databaseName, tableName, record, tableData) {
     return values.length > 0 ? values[0] + 1 : 1;
   }
 
-  async checkDuplicateValue(databaseName, tableName, columnName, value) {
-    const tableData = await this.storageManager.loadTable(databaseName, tableName);
-    if (!tableData || !tableData.registros) return false;
-    
-    return Object.values(tableData.registros).some(record => 
-      record[columnName] === value
-    );
-  }
-
-  async validateForeignKey(databaseName, referencedTable, referencedColumn, value) {
-    if (value === null || value === undefined) return true;
-    
-    const refTableData = await this.storageManager.loadTable(databaseName, referencedTable);
-    if (!refTableData || !refTableData.registros) return false;
-    
-    return Object.values(refTableData.registros).some(record => 
-      record[referencedColumn] === value
-    );
+  // 'email = x' ou '(nome, sobrenome) = (a, b)'
+  describeIndexValues(index, values) {
+    return index.colunas.length === 1
+      ? `${index.colunas[0]} = ${values[0]}`
+      : `(${index.colunas.join(', ')}) = (${values.join(', ')})`;
   }
 
   parseConstraints(constraintString) {
@@ -31,7 +31,7 @@ class TableConstraint extends ASTNode {
 
 // Classes existentes...
 class SelectStatement extends ASTNode {
-  constructor(selectList, fromClause, whereClause = null, joinClauses = [], orderByClause = null, groupByClause = null) {
+  constructor(selectList, fromClause, whereClause = null, joinClauses = [], orderByClause = null, groupByClause = null, havingClause = null, limitClause = null) {
     super();
     this.selectList = selectList;
     this.fromClause = fromClause;
@@ -39,13 +39,16 @@ class SelectStatement extends ASTNode {
     this.joinClauses = joinClauses;
     this.orderByClause = orderByClause;
     this.groupByClause = groupByClause;
+    this.havingClause = havingClause;
+    this.limitClause = limitClause;
   }
 }
 
 class SelectList extends ASTNode {
-  constructor(columns) {
+  constructor(columns, distinct = false) {
     super();
     this.columns = columns;
+    this.distinct = distinct; // selecionar distinto: remove linhas repetidas do resultado
   }
 }
 
@@ -73,17 +76,18 @@ class IdentifierExpression extends ASTNode {
 }
 
 class FromClause extends ASTNode {
-  constructor(tableName, alias = null) {
+  constructor(tableName, alias = null, subquery = null) {
     super();
-    this.tableName = tableName;
+    this.tableName = tableName; // null para tabelas derivadas
     this.alias = alias;
+    this.subquery = subquery; // SelectStatement de 'de (selecionar ...) alias'
   }
 }
 
 class JoinClause extends ASTNode {
   constructor(joinType, tableName, onCondition, alias = null) {
     super();
-    this.joinType = joinType;
+    this.joinType = joinType; // 'INNER', 'LEFT', 'RIGHT', 'FULL' ou 'CROSS' (sem onCondition)
     this.tableName = tableName;
     this.onCondition = onCondition;
     this.alias = alias;
@@ -106,11 +110,84 @@ class BinaryExpression extends ASTNode {
   }
 }
 
+class UnaryExpression extends ASTNode {
+  constructor(operator, operand) {
+    super();
+    this.operator = operator; // '-' ou 'nao'/'not'
+    this.operand = operand;
+  }
+}
+
+// Função agregada (COUNT, SUM, AVG, MIN, MAX)
+class AggregateExpression extends ASTNode {
+  constructor(functionName, argument, distinct = false, originalName = null) {
+    super();
+    this.functionName = functionName; // nome canônico: 'COUNT', 'SUM', 'AVG', 'MIN', 'MAX'
+    this.argument = argument; // expressão ou AllColumnsExpression para count(*)
+    this.distinct = distinct;
+    this.originalName = originalName || functionName.toLowerCase(); // nome como foi escrito
+  }
+}
+
+class FunctionCallExpression extends ASTNode {
+  constructor(name, args) {
+    super();
+    this.name = name; // nome como foi escrito (português ou inglês)
+    this.args = args; // lista de expressões
+  }
+}
+
 class LiteralExpression extends ASTNode {
   constructor(value, type) {
     super();
     this.value = value;
-    this.type = type;
+    this.type = type; // 'NUMBER', 'STRING', 'DATE' (data '...' e datahora '...'), 'BOOLEAN' ou 'NULL'
+  }
+}
+
+// Pertinência a uma lista: 'x em (1, 2)' / 'x nao em (1, 2)'
+class InExpression extends ASTNode {
+  constructor(operand, values, negated = false) {
+    super();
+    this.operand = operand;
+    this.values = values; // lista de expressões ou SubqueryExpression
+    this.negated = negated;
+  }
+}
+
+// SELECT aninhado: '(selecionar ...)' como valor escalar ou lista de valores
+class SubqueryExpression extends ASTNode {
+  constructor(select) {
+    super();
+    this.select = select;
+  }
+}
+
+// 'existe (selecionar ...)'
+class ExistsExpression extends ASTNode {
+  constructor(subquery) {
+    super();
+    this.subquery = subquery;
+  }
+}
+
+// Intervalo fechado: 'x entre 1 e 10' / 'x nao entre 1 e 10'
+class BetweenExpression extends ASTNode {
+  constructor(operand, lower, upper, negated = false) {
+    super();
+    this.operand = operand;
+    this.lower = lower;
+    this.upper = upper;
+    this.negated = negated;
+  }
+}
+
+// Teste de nulidade: 'é nulo' / 'não é nulo'
+class IsNullExpression extends ASTNode {
+  constructor(operand, negated = false) {
+    super();
+    this.operand = operand;
+    this.negated = negated;
   }
 }
 
@@ -136,6 +213,21 @@ class GroupByClause extends ASTNode {
   }
 }
 
+class HavingClause extends ASTNode {
+  constructor(condition) {
+    super();
+    this.condition = condition;
+  }
+}
+
+class LimitClause extends ASTNode {
+  constructor(limit = null, offset = 0) {
+    super();
+    this.limit = limit; // null = sem limite
+    this.offset = offset;
+  }
+}
+
 // Comandos DDL
 class CreateTableStatement extends ASTNode {
   constructor(tableName, columns, tableConstraints = []) {
@@ -153,6 +245,77 @@ class CreateDatabaseStatement extends ASTNode {
   }
 }
 
+class DropTableStatement extends ASTNode {
+  constructor(tableName) {
+    super();
+    this.tableName = tableName;
+  }
+}
+
+class DropDatabaseStatement extends ASTNode {
+  constructor(databaseName) {
+    super();
+    this.databaseName = databaseName;
+  }
+}
+
+class CreateIndexStatement extends ASTNode {
+  constructor(indexName, tableName, columns, unique = false) {
+    super();
+    this.indexName = indexName;
+    this.tableName = tableName;
+    this.columns = columns;
+    this.unique = unique;
+  }
+}
+
+class DropIndexStatement extends ASTNode {
+  constructor(indexName) {
+    super();
+    this.indexName = indexName;
+  }
+}
+
+class AlterTableStatement extends ASTNode {
+  constructor(tableName, action, options = {}) {
+    super();
+    this.tableName = tableName;
+    this.action = action; // 'ADD_COLUMN', 'DROP_COLUMN', 'RENAME_COLUMN', 'RENAME_TABLE'
+    this.options = options; // { column, columnName, newName }
+  }
+}
+
+// Comandos de introspecção
+class ShowStatement extends ASTNode {
+  constructor(target) {
+    super();
+    this.target = target; // 'DATABASES' ou 'TABLES'
+  }
+}
+
+class DescribeTableStatement extends ASTNode {
+  constructor(tableName) {
+    super();
+    this.tableName = tableName;
+  }
+}
+
+// explicar selecionar ...: mostra o plano de execução sem executar a consulta
+class ExplainStatement extends ASTNode {
+  constructor(statement) {
+    super();
+    this.statement = statement;
+  }
+}
+
+// Controle de transações
+class TransactionStatement extends ASTNode {
+  constructor(action) {
+    super();
+    this.action = action; // 'BEGIN', 'COMMIT' ou 'ROLLBACK'
+  }
+}
+
 // Atualizada para suportar constraints
 class ColumnDefinition extends ASTNode {
   constructor(name, type, constraints = [], defaultValue = null, autoIncrement = false) {
@@ -167,11 +330,23 @@ class ColumnDefinition extends ASTNode {
 
 // Comandos DML
 class InsertStatement extends ASTNode {
-  constructor(tableName, columns, values) {
+  constructor(tableName, columns, rows, select = null, onConflict = null) {
     super();
     this.tableName = tableName;
     this.columns = columns;
-    this.values = values;
+    this.rows = rows; // uma lista de expressões para cada '(...)' de 'valores'
+    this.select = select; // inserir em t (...) selecionar ...
+    this.onConflict = onConflict; // OnConflictClause
+  }
+}
+
+// ao conflitar [(colunas)] ignorar | ao conflitar (colunas) atualizar definir ...
+class OnConflictClause extends ASTNode {
+  constructor(columns, action, assignments = []) {
+    super();
+    this.columns = columns; // null: qualquer chave primária, coluna única ou índice único
+    this.action = action; // 'IGNORE' ou 'UPDATE'
+    this.assignments = assignments;
   }
 }
 
@@ -222,14 +397,34 @@ module.exports = {
   JoinClause,
   WhereClause,
   BinaryExpression,
+  UnaryExpression,
+  AggregateExpression,
+  FunctionCallExpression,
   LiteralExpression,
+  IsNullExpression,
+  InExpression,
+  BetweenExpression,
+  SubqueryExpression,
+  ExistsExpression,
   OrderByClause,
   OrderByExpression,
   GroupByClause,
+  HavingClause,
+  LimitClause,
   CreateTableStatement,
   CreateDatabaseStatement,
+  DropTableStatement,
+  DropDatabaseStatement,
+  CreateIndexStatement,
+  DropIndexStatement,
+  AlterTableStatement,
+  ShowStatement,
+  DescribeTableStatement,
+  ExplainStatement,
+  TransactionStatement,
   ColumnDefinition,
   InsertStatement,
+  OnConflictClause,
   UpdateStatement,
   DeleteStatement,
   Assignment,
@@ -16,6 +16,8 @@ const TokenType = {
   INNER: 'INNER',
   LEFT: 'LEFT',
   RIGHT: 'RIGHT',
+  FULL: 'FULL',
+  CROSS: 'CROSS',
   ON: 'ON',
   AND: 'AND',
   OR: 'OR',
@@ -23,6 +25,8 @@ const TokenType = {
   BY: 'BY',
   GROUP: 'GROUP',
   HAVING: 'HAVING',
+  LIMIT: 'LIMIT',
+  OFFSET: 'OFFSET',
   INSERT: 'INSERT',
   INTO: 'INTO',
   VALUES: 'VALUES',
@@ -31,8 +35,24 @@ const TokenType = {
   DELETE: 'DELETE',
   CREATE: 'CREATE',
   TABLE: 'TABLE',
+  INDEX: 'INDEX',
   DATABASE: 'DATABASE',
   USE: 'USE',
+  DROP: 'DROP',
+  ALTER: 'ALTER',
+  ADD: 'ADD',
+  COLUMN: 'COLUMN',
+  RENAME: 'RENAME',
+  TO: 'TO',
+  SHOW: 'SHOW',
+  DATABASES: 'DATABASES',
+  TABLES: 'TABLES',
+  DESCRIBE: 'DESCRIBE',
+  EXPLAIN: 'EXPLAIN',
+  BEGIN: 'BEGIN',
+  COMMIT: 'COMMIT',
+  ROLLBACK: 'ROLLBACK',
+  TRANSACTION: 'TRANSACTION',
   
   // Novas palavras-chave para constraints
   PRIMARY: 'PRIMARY',
@@ -44,7 +64,16 @@ const TokenType = {
   INCREMENT: 'INCREMENT',
   NOT: 'NOT',
   NULL: 'NULL',
+  IS: 'IS',
+  TRUE: 'TRUE',
+  FALSE: 'FALSE',
   DEFAULT: 'DEFAULT',
+  RESTRICT: 'RESTRICT',
+  CASCADE: 'CASCADE',
+  SET_NULL: 'SET_NULL',
+  DISTINCT: 'DISTINCT',
+  CONFLICT: 'CONFLICT',
+  IGNORE: 'IGNORE',
   
   // Operadores
   EQUALS: '=',
@@ -54,6 +83,13 @@ const TokenType = {
   LESS_EQUAL: '<=',
   GREATER_EQUAL: '>=',
   LIKE: 'LIKE',
+  IN: 'IN',
+  BETWEEN: 'BETWEEN',
+  EXISTS: 'EXISTS',
+  PLUS: '+',
+  MINUS: '-',
+  SLASH: '/',
+  PERCENT: '%',
   
   // Símbolos
   COMMA: ',',
@@ -76,7 +112,9 @@ const TokenType = {
 
 class Lexer {
   constructor(input) {
-    this.input = input.toLowerCase();
+    // A entrada mantém maiúsculas/minúsculas: apenas palavras-chave e identificadores
+    // são normalizados, o conteúdo de strings é preservado exatamente
+    this.input = input;
     this.position = 0;
     this.currentChar = this.input[this.position];
     this.tokenHistory = [];
@@ -91,6 +129,8 @@ class Lexer {
       'interno': TokenType.INNER,
       'esquerda': TokenType.LEFT,
       'direita': TokenType.RIGHT,
+      'completa': TokenType.FULL,
+      'cruzar': TokenType.CROSS,
       'em': this.detectContextualEm.bind(this),
       'e': TokenType.AND,
       'ou': TokenType.OR,
@@ -98,6 +138,8 @@ class Lexer {
       'por': TokenType.BY,
       'agrupar': TokenType.GROUP,
       'tendo': TokenType.HAVING,
+      'limitar': TokenType.LIMIT,
+      'pular': TokenType.OFFSET,
       'inserir': TokenType.INSERT,
       'valores': TokenType.VALUES,
       'atualizar': TokenType.UPDATE,
@@ -105,9 +147,27 @@ class Lexer {
       'remover': TokenType.DELETE,
       'criar': TokenType.CREATE,
       'tabela': TokenType.TABLE,
+      'indice': TokenType.INDEX,
       'banco': TokenType.DATABASE,
       'usar': TokenType.USE,
+      'apagar': TokenType.DROP,
+      'alterar': TokenType.ALTER,
+      'adicionar': TokenType.ADD,
+      'coluna': TokenType.COLUMN,
+      'renomear': TokenType.RENAME,
+      'para': TokenType.TO,
+      'mostrar': TokenType.SHOW,
+      'bancos': TokenType.DATABASES,
+      'tabelas': TokenType.TABLES,
+      'descrever': TokenType.DESCRIBE,
+      'explicar': TokenType.EXPLAIN,
+      'iniciar': TokenType.BEGIN,
+      'confirmar': TokenType.COMMIT,
+      'desfazer': TokenType.ROLLBACK,
+      'transacao': TokenType.TRANSACTION,
       'como': TokenType.LIKE,
+      'entre': TokenType.BETWEEN,
+      'existe': TokenType.EXISTS,
       
       // Novas palavras para constraints
       'primaria': TokenType.PRIMARY,
@@ -118,8 +178,19 @@ class Lexer {
       'auto': TokenType.AUTO,
       'incremento': TokenType.INCREMENT,
       'nao': TokenType.NOT,
+      'não': TokenType.NOT,
       'nulo': TokenType.NULL,
+      'é': TokenType.IS,
+      'verdadeiro': TokenType.TRUE,
+      'falso': TokenType.FALSE,
       'padrao': TokenType.DEFAULT,
+      'ao': TokenType.ON,
+      'restringir': TokenType.RESTRICT,
+      'cascata': TokenType.CASCADE,
+      'anular': TokenType.SET_NULL,
+      'distinto': TokenType.DISTINCT,
+      'conflitar': TokenType.CONFLICT,
+      'ignorar': TokenType.IGNORE,
       
       // Alternativas em inglês (para compatibilidade)
       'primary': TokenType.PRIMARY,
@@ -127,14 +198,27 @@ class Lexer {
       'foreign': TokenType.FOREIGN,
       'references': TokenType.REFERENCES,
       'unique': TokenType.UNIQUE,
+      'index': TokenType.INDEX,
       'increment': TokenType.INCREMENT,
       'not': TokenType.NOT,
       'null': TokenType.NULL,
+      'is': TokenType.IS,
+      'in': TokenType.IN,
+      'between': TokenType.BETWEEN,
+      'exists': TokenType.EXISTS,
+      'explain': TokenType.EXPLAIN,
+      'true': TokenType.TRUE,
+      'false': TokenType.FALSE,
       'default': TokenType.DEFAULT,
+      'distinct': TokenType.DISTINCT,
+      'conflict': TokenType.CONFLICT,
+      'ignore': TokenType.IGNORE,
+      'limit': TokenType.LIMIT,
+      'offset': TokenType.OFFSET,
     };
   }
 
-  // Função para detectar se "em" é ON (JOIN) ou INTO (INSERT)
+  // Função para detectar se "em" é INTO (INSERT), ON (JOIN, CREATE INDEX) ou IN (lista de valores)
   detectContextualEm() {
     const previousTokens = this.getRecentTokens(3);
     
@@ -142,11 +226,20 @@ class Lexer {
       return TokenType.INTO;
     }
     
-    if (previousTokens.some(token => token && token.type === TokenType.JOIN)) {
+    // 'criar indice nome em tabela (...)'
+    if (previousTokens.some(token => token && token.type === TokenType.INDEX)) {
       return TokenType.ON;
     }
     
-    return TokenType.INTO;
+    // 'juntar tabela [alias] em': a condição do JOIN ainda não começou
+    const joinIndex = previousTokens.map(token => token && token.type).lastIndexOf(TokenType.JOIN);
+    if (joinIndex !== -1 &&
+        previousTokens.slice(joinIndex + 1).every(token => token.type === TokenType.IDENTIFIER)) {
+      return TokenType.ON;
+    }
+    
+    // Em qualquer outra posição, 'em' segue um valor: 'x em (1, 2, 3)'
+    return TokenType.IN;
   }
 
   getRecentTokens(count) {
@@ -236,7 +329,8 @@ class Lexer {
 
   readIdentifier() {
     let result = '';
-    while (this.currentChar && (/\w/.test(this.currentChar) || this.currentChar === '_')) {
+    // Letras acentuadas fazem parte das palavras (ex: 'não', 'é')
+    while (this.currentChar && /[\p{L}\p{N}_]/u.test(this.currentChar)) {
       result += this.currentChar;
       this.advance();
     }
@@ -262,8 +356,9 @@ class Lexer {
         return token;
       }
 
-      if (/[a-zA-Z_]/.test(this.currentChar)) {
-        const identifier = this.readIdentifier();
+      if (/[\p{L}_]/u.test(this.currentChar)) {
+        // Palavras-chave e identificadores não diferenciam maiúsculas de minúsculas
+        const identifier = this.readIdentifier().toLowerCase();
         let tokenType = TokenType.IDENTIFIER;
         
         if (this.keywords[identifier]) {
@@ -315,7 +410,11 @@ class Lexer {
         ';': TokenType.SEMICOLON,
         '(': TokenType.OPEN_PAREN,
         ')': TokenType.CLOSE_PAREN,
-        '*': TokenType.ASTERISK
+        '*': TokenType.ASTERISK,
+        '+': TokenType.PLUS,
+        '-': TokenType.MINUS,
+        '/': TokenType.SLASH,
+        '%': TokenType.PERCENT
       };
 
       if (this.currentChar in singleCharTokens) {
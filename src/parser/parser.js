@@ -1,4 +1,5 @@
 const { TokenType } = require('./lexer');
+const { normalizarData, normalizarDataHora } = require('../util');
 const {
   SelectStatement,
   SelectList,
@@ -9,19 +10,59 @@ const {
   JoinClause,
   WhereClause,
   BinaryExpression,
+  UnaryExpression,
+  AggregateExpression,
+  FunctionCallExpression,
   LiteralExpression,
+  IsNullExpression,
+  InExpression,
+  BetweenExpression,
+  SubqueryExpression,
+  ExistsExpression,
   OrderByClause,
   OrderByExpression,
   GroupByClause,
+  HavingClause,
+  LimitClause,
   CreateTableStatement,
+  DropTableStatement,
+  DropDatabaseStatement,
+  CreateIndexStatement,
+  DropIndexStatement,
+  AlterTableStatement,
+  ShowStatement,
+  DescribeTableStatement,
+  ExplainStatement,
+  TransactionStatement,
   ColumnDefinition,
   ConstraintDefinition,
   TableConstraint,
   InsertStatement,
+  OnConflictClause,
   UpdateStatement,
   DeleteStatement
 } = require('./ast/nodes');
 
+// Funções agregadas: nome (português ou inglês) -> nome canônico
+const AGGREGATE_FUNCTIONS = {
+  'contar': 'COUNT',
+  'count': 'COUNT',
+  'somar': 'SUM',
+  'soma': 'SUM',
+  'sum': 'SUM',
+  'media': 'AVG',
+  'avg': 'AVG',
+  'minimo': 'MIN',
+  'min': 'MIN',
+  'maximo': 'MAX',
+  'max': 'MAX'
+};
+
+// Literais de data: tipo -> normalização do texto
+const DATE_LITERALS = {
+  'data': normalizarData,
+  'datahora': normalizarDataHora
+};
 
 class Parser {
   constructor(tokens) {
@@ -94,6 +135,20 @@ class Parser {
         return this.parseUpdateStatement();
       case TokenType.DELETE:
         return this.parseDeleteStatement();
+      case TokenType.DROP:
+        return this.parseDropStatement();
+      case TokenType.ALTER:
+        return this.parseAlterTableStatement();
+      case TokenType.SHOW:
+        return this.parseShowStatement();
+      case TokenType.DESCRIBE:
+        return this.parseDescribeStatement();
+      case TokenType.EXPLAIN:
+        return this.parseExplainStatement();
+      case TokenType.BEGIN:
+      case TokenType.COMMIT:
+      case TokenType.ROLLBACK:
+        return this.parseTransactionStatement();
       default:
         this.error(`Comando não reconhecido: ${token.value}`);
     }
@@ -108,7 +163,7 @@ class Parser {
     const fromClause = this.parseFromClause();
     
     const joinClauses = [];
-    while (this.match(TokenType.JOIN, TokenType.INNER, TokenType.LEFT, TokenType.RIGHT)) {
+    while (this.match(TokenType.JOIN, TokenType.INNER, TokenType.LEFT, TokenType.RIGHT, TokenType.FULL, TokenType.CROSS)) {
       joinClauses.push(this.parseJoinClause());
     }
     
@@ -122,36 +177,54 @@ class Parser {
       groupByClause = this.parseGroupByClause();
     }
     
+    let havingClause = null;
+    if (this.match(TokenType.HAVING)) {
+      havingClause = this.parseHavingClause();
+    }
+    
     let orderByClause = null;
     if (this.match(TokenType.ORDER)) {
       orderByClause = this.parseOrderByClause();
     }
     
+    let limitClause = null;
+    if (this.match(TokenType.LIMIT, TokenType.OFFSET)) {
+      limitClause = this.parseLimitClause();
+    }
+    
     return new SelectStatement(
       selectList,
       fromClause,
       whereClause,
       joinClauses,
       orderByClause,
-      groupByClause
+      groupByClause,
+      havingClause,
+      limitClause
     );
   }
 
   parseSelectList() {
     const columns = [];
     
+    let distinct = false;
+    if (this.match(TokenType.DISTINCT)) {
+      this.consume(); // 'distinto'
+      distinct = true;
+    }
+    
     do {
       if (this.match(TokenType.ASTERISK)) {
         this.consume();
-        // Verificar se é tabela.*
-        if (this.currentToken > 0 && 
-            this.tokens[this.currentToken - 2]?.type === TokenType.IDENTIFIER &&
-            this.tokens[this.currentToken - 2]?.type === TokenType.DOT) {
-          const tableName = this.tokens[this.currentToken - 3].value;
-          columns.push(new ColumnExpression(new AllColumnsExpression(tableName)));
-        } else {
-          columns.push(new ColumnExpression(new AllColumnsExpression()));
-        }
+        columns.push(new ColumnExpression(new AllColumnsExpression()));
+      } else if (this.match(TokenType.IDENTIFIER) &&
+                 this.peekToken().type === TokenType.DOT &&
+                 this.peekToken(2).type === TokenType.ASTERISK) {
+        // tabela.*
+        const tableName = this.consume().value;
+        this.consume(TokenType.DOT);
+        this.consume(TokenType.ASTERISK);
+        columns.push(new ColumnExpression(new AllColumnsExpression(tableName)));
       } else {
         const expression = this.parseExpression();
         let alias = null;
@@ -172,10 +245,21 @@ class Parser {
       }
     } while (true);
     
-    return new SelectList(columns);
+    return new SelectList(columns, distinct);
   }
 
   parseFromClause() {
+    // Tabela derivada: 'de (selecionar ...) alias'
+    if (this.match(TokenType.OPEN_PAREN)) {
+      const subquery = this.parseSubquery();
+      
+      if (!this.match(TokenType.IDENTIFIER)) {
+        this.error('Tabela derivada precisa de um alias: de (selecionar ...) alias');
+      }
+      
+      return new FromClause(null, this.consume(TokenType.IDENTIFIER).value, subquery);
+    }
+    
     const tableName = this.consume(TokenType.IDENTIFIER).value;
     let alias = null;
     
@@ -188,10 +272,30 @@ class Parser {
     return new FromClause(tableName, alias);
   }
 
+  // '(selecionar ...)'
+  parseSubquery() {
+    this.consume(TokenType.OPEN_PAREN); // '('
+    const select = this.parseSelectStatement();
+    this.consume(TokenType.CLOSE_PAREN); // ')'
+    return select;
+  }
+
+  isSubqueryStart() {
+    return this.match(TokenType.OPEN_PAREN) && this.peekToken().type === TokenType.SELECT;
+  }
+
   parseJoinClause() {
+    // 'cruzar tabela [alias]': produto cartesiano, sem condição
+    if (this.match(TokenType.CROSS)) {
+      this.consume(); // 'cruzar'
+      const tableName = this.consume(TokenType.IDENTIFIER).value;
+      const alias = this.match(TokenType.IDENTIFIER) ? this.consume().value : null;
+      return new JoinClause('CROSS', tableName, null, alias);
+    }
+    
     let joinType = 'INNER';
     
-    if (this.match(TokenType.INNER, TokenType.LEFT, TokenType.RIGHT)) {
+    if (this.match(TokenType.INNER, TokenType.LEFT, TokenType.RIGHT, TokenType.FULL)) {
       joinType = this.consume().type;
     }
     
@@ -270,6 +374,46 @@ class Parser {
     return new GroupByClause(expressions);
   }
 
+  parseHavingClause() {
+    this.consume(TokenType.HAVING); // 'tendo'
+    const condition = this.parseExpression();
+    return new HavingClause(condition);
+  }
+
+  parseLimitClause() {
+    const limitClause = new LimitClause();
+    let hasLimit = false;
+    let hasOffset = false;
+    
+    // Aceita 'limitar N', 'pular M' ou ambos, em qualquer ordem
+    while (this.match(TokenType.LIMIT, TokenType.OFFSET)) {
+      if (this.match(TokenType.LIMIT)) {
+        if (hasLimit) this.error('Cláusula "limitar" repetida');
+        this.consume(); // 'limitar'
+        limitClause.limit = this.parseNonNegativeInteger('limitar');
+        hasLimit = true;
+      } else {
+        if (hasOffset) this.error('Cláusula "pular" repetida');
+        this.consume(); // 'pular'
+        limitClause.offset = this.parseNonNegativeInteger('pular');
+        hasOffset = true;
+      }
+    }
+    
+    return limitClause;
+  }
+
+  parseNonNegativeInteger(clause) {
+    const token = this.getCurrentToken();
+    
+    if (token.type !== TokenType.NUMBER || !Number.isInteger(token.value)) {
+      this.error(`Esperado número inteiro após "${clause}", encontrado ${token.value}`);
+    }
+    
+    this.consume();
+    return token.value;
+  }
+
   parseExpression() {
     return this.parseOrExpression();
   }
@@ -287,19 +431,29 @@ class Parser {
   }
 
   parseAndExpression() {
-    let left = this.parseComparisonExpression();
+    let left = this.parseNotExpression();
     
     while (this.match(TokenType.AND)) {
       const operator = this.consume().value;
-      const right = this.parseComparisonExpression();
+      const right = this.parseNotExpression();
       left = new BinaryExpression(left, operator, right);
     }
     
     return left;
   }
 
+  parseNotExpression() {
+    if (this.match(TokenType.NOT)) {
+      const operator = this.consume().value; // 'nao'
+      const operand = this.parseNotExpression();
+      return new UnaryExpression(operator, operand);
+    }
+    
+    return this.parseComparisonExpression();
+  }
+
   parseComparisonExpression() {
-    let left = this.parsePrimaryExpression();
+    let left = this.parseAdditiveExpression();
     
     if (this.match(
       TokenType.EQUALS,
@@ -311,13 +465,121 @@ class Parser {
       TokenType.LIKE
     )) {
       const operator = this.consume().value;
-      const right = this.parsePrimaryExpression();
+      const right = this.parseAdditiveExpression();
+      left = new BinaryExpression(left, operator, right);
+    } else if (this.match(TokenType.IS) ||
+               (this.match(TokenType.NOT) && this.peekToken().type === TokenType.IS)) {
+      left = this.parseIsNull(left);
+    } else if (this.match(TokenType.IN, TokenType.BETWEEN) ||
+               (this.match(TokenType.NOT) &&
+                [TokenType.LIKE, TokenType.IN, TokenType.BETWEEN].includes(this.peekToken().type))) {
+      left = this.parseNegatablePredicate(left);
+    }
+    
+    return left;
+  }
+
+  // 'x [nao] como padrão', 'x [nao] em (lista)' e 'x [nao] entre a e b'
+  parseNegatablePredicate(operand) {
+    let notToken = null;
+    if (this.match(TokenType.NOT)) {
+      notToken = this.consume(); // 'nao'
+    }
+    
+    if (this.match(TokenType.LIKE)) {
+      const operator = this.consume().value; // 'como'
+      const like = new BinaryExpression(operand, operator, this.parseAdditiveExpression());
+      return notToken ? new UnaryExpression(notToken.value, like) : like;
+    }
+    
+    if (this.match(TokenType.IN)) {
+      this.consume(); // 'em'
+      
+      if (this.isSubqueryStart()) {
+        return new InExpression(operand, new SubqueryExpression(this.parseSubquery()), notToken !== null);
+      }
+      
+      this.consume(TokenType.OPEN_PAREN); // '('
+      const values = [this.parseExpression()];
+      while (this.match(TokenType.COMMA)) {
+        this.consume(); // ','
+        values.push(this.parseExpression());
+      }
+      this.consume(TokenType.CLOSE_PAREN); // ')'
+      return new InExpression(operand, values, notToken !== null);
+    }
+    
+    this.consume(TokenType.BETWEEN); // 'entre'
+    const lower = this.parseAdditiveExpression();
+    this.consume(TokenType.AND); // 'e'
+    const upper = this.parseAdditiveExpression();
+    return new BetweenExpression(operand, lower, upper, notToken !== null);
+  }
+
+  // 'x é nulo', 'x não é nulo' ou 'x é não nulo'
+  parseIsNull(operand) {
+    let negated = false;
+    
+    if (this.match(TokenType.NOT)) {
+      this.consume(); // 'não'
+      negated = true;
+    }
+    
+    this.consume(TokenType.IS); // 'é'
+    
+    if (this.match(TokenType.NOT)) {
+      this.consume(); // 'não'
+      negated = !negated;
+    }
+    
+    this.consume(TokenType.NULL); // 'nulo'
+    return new IsNullExpression(operand, negated);
+  }
+
+  parseAdditiveExpression() {
+    let left = this.parseMultiplicativeExpression();
+    
+    while (this.match(TokenType.PLUS, TokenType.MINUS)) {
+      const operator = this.consume().value;
+      const right = this.parseMultiplicativeExpression();
       left = new BinaryExpression(left, operator, right);
     }
     
     return left;
   }
 
+  parseMultiplicativeExpression() {
+    let left = this.parseUnaryExpression();
+    
+    while (this.match(TokenType.ASTERISK, TokenType.SLASH, TokenType.PERCENT)) {
+      const operator = this.consume().value;
+      const right = this.parseUnaryExpression();
+      left = new BinaryExpression(left, operator, right);
+    }
+    
+    return left;
+  }
+
+  parseUnaryExpression() {
+    if (this.match(TokenType.MINUS)) {
+      this.consume(); // '-'
+      
+      // Literal numérico negativo (ex: -5)
+      if (this.match(TokenType.NUMBER)) {
+        return new LiteralExpression(-this.consume().value, 'NUMBER');
+      }
+      
+      return new UnaryExpression('-', this.parseUnaryExpression());
+    }
+    
+    if (this.match(TokenType.PLUS)) {
+      this.consume(); // '+' unário não altera o valor
+      return this.parseUnaryExpression();
+    }
+    
+    return this.parsePrimaryExpression();
+  }
+
   parsePrimaryExpression() {
     const token = this.getCurrentToken();
     
@@ -330,10 +592,32 @@ class Parser {
         this.consume();
         return new LiteralExpression(token.value, 'STRING');
         
+      case TokenType.TRUE:
+      case TokenType.FALSE:
+        this.consume();
+        return new LiteralExpression(token.type === TokenType.TRUE, 'BOOLEAN');
+        
+      case TokenType.NULL:
+        this.consume();
+        return new LiteralExpression(null, 'NULL');
+        
       case TokenType.IDENTIFIER:
+        if (this.peekToken().type === TokenType.OPEN_PAREN) {
+          return this.parseFunctionCall();
+        }
+        if (DATE_LITERALS[token.value] && this.peekToken().type === TokenType.STRING) {
+          return this.parseDateLiteral();
+        }
         return this.parseIdentifierExpression();
         
+      case TokenType.EXISTS:
+        this.consume(); // 'existe'
+        return new ExistsExpression(this.parseSubquery());
+        
       case TokenType.OPEN_PAREN:
+        if (this.isSubqueryStart()) {
+          return new SubqueryExpression(this.parseSubquery());
+        }
         this.consume();
         const expression = this.parseExpression();
         this.consume(TokenType.CLOSE_PAREN);
@@ -344,6 +628,62 @@ class Parser {
     }
   }
 
+  parseFunctionCall() {
+    const name = this.consume(TokenType.IDENTIFIER).value;
+    const functionName = AGGREGATE_FUNCTIONS[name];
+    
+    this.consume(TokenType.OPEN_PAREN); // '('
+    
+    // Funções escalares (maiusculo, arredondar, ...) são resolvidas pelo executor
+    if (!functionName) {
+      const args = [];
+      if (!this.match(TokenType.CLOSE_PAREN)) {
+        args.push(this.parseExpression());
+        while (this.match(TokenType.COMMA)) {
+          this.consume(); // ','
+          args.push(this.parseExpression());
+        }
+      }
+      this.consume(TokenType.CLOSE_PAREN); // ')'
+      return new FunctionCallExpression(name, args);
+    }
+    
+    let distinct = false;
+    if (this.match(TokenType.DISTINCT)) {
+      this.consume(); // 'distinto'
+      distinct = true;
+    }
+    
+    let argument;
+    if (this.match(TokenType.ASTERISK)) {
+      if (functionName !== 'COUNT' || distinct) {
+        this.error(`'*' só é permitido em ${name}(*)`);
+      }
+      this.consume(); // '*'
+      argument = new AllColumnsExpression();
+    } else {
+      argument = this.parseExpression();
+    }
+    
+    this.consume(TokenType.CLOSE_PAREN); // ')'
+    
+    return new AggregateExpression(functionName, argument, distinct, name);
+  }
+
+  // data '2024-01-31' e datahora '2024-01-31 14:30': o texto é validado e gravado
+  // no formato ISO das colunas data/datahora, comparável como texto
+  parseDateLiteral() {
+    const type = this.consume(TokenType.IDENTIFIER).value;
+    const text = this.consume(TokenType.STRING).value;
+    const value = DATE_LITERALS[type](text);
+    
+    if (!value) {
+      this.error(`Valor inválido para ${type}: '${text}'`);
+    }
+    
+    return new LiteralExpression(value, 'DATE');
+  }
+
   parseIdentifierExpression() {
     const name = this.consume(TokenType.IDENTIFIER).value;
     let tableName = null;
@@ -366,11 +706,37 @@ class Parser {
       return this.parseCreateDatabaseStatement();
     } else if (this.match(TokenType.TABLE)) {
       return this.parseCreateTableStatement();
+    } else if (this.match(TokenType.INDEX, TokenType.UNIQUE)) {
+      return this.parseCreateIndexStatement();
     } else {
-      this.error('Esperado "banco" ou "tabela" após "criar"');
+      this.error('Esperado "banco", "tabela" ou "indice" após "criar"');
     }
   }
 
+  // criar [unico] indice nome em tabela (coluna[, ...])
+  parseCreateIndexStatement() {
+    let unique = false;
+    if (this.match(TokenType.UNIQUE)) {
+      this.consume(); // 'unico'
+      unique = true;
+    }
+    
+    this.consume(TokenType.INDEX); // 'indice'
+    const indexName = this.consume(TokenType.IDENTIFIER).value;
+    this.consume(TokenType.ON); // 'em'
+    const tableName = this.consume(TokenType.IDENTIFIER).value;
+    
+    this.consume(TokenType.OPEN_PAREN); // '('
+    const columns = [this.consume(TokenType.IDENTIFIER).value];
+    while (this.match(TokenType.COMMA)) {
+      this.consume(); // ','
+      columns.push(this.consume(TokenType.IDENTIFIER).value);
+    }
+    this.consume(TokenType.CLOSE_PAREN); // ')'
+    
+    return new CreateIndexStatement(indexName, tableName, columns, unique);
+  }
+
   parseCreateDatabaseStatement() {
     this.consume(TokenType.DATABASE); // 'banco'
     const databaseName = this.consume(TokenType.IDENTIFIER).value;
@@ -413,6 +779,105 @@ parseCreateTableStatement() {
   return new CreateTableStatement(tableName, columns, tableConstraints);
 }
 
+  parseDropStatement() {
+    this.consume(TokenType.DROP); // 'apagar'
+    
+    if (this.match(TokenType.TABLE)) {
+      this.consume(); // 'tabela'
+      const tableName = this.consume(TokenType.IDENTIFIER).value;
+      return new DropTableStatement(tableName);
+    } else if (this.match(TokenType.DATABASE)) {
+      this.consume(); // 'banco'
+      const databaseName = this.consume(TokenType.IDENTIFIER).value;
+      return new DropDatabaseStatement(databaseName);
+    } else if (this.match(TokenType.INDEX)) {
+      this.consume(); // 'indice'
+      const indexName = this.consume(TokenType.IDENTIFIER).value;
+      return new DropIndexStatement(indexName);
+    }
+    
+    this.error('Esperado "banco", "tabela" ou "indice" após "apagar"');
+  }
+
+  parseAlterTableStatement() {
+    this.consume(TokenType.ALTER); // 'alterar'
+    this.consume(TokenType.TABLE); // 'tabela'
+    const tableName = this.consume(TokenType.IDENTIFIER).value;
+    
+    if (this.match(TokenType.ADD)) {
+      this.consume(); // 'adicionar'
+      this.consume(TokenType.COLUMN); // 'coluna'
+      const column = this.parseColumnDefinition();
+      return new AlterTableStatement(tableName, 'ADD_COLUMN', { column });
+      
+    } else if (this.match(TokenType.DELETE)) {
+      this.consume(); // 'remover'
+      this.consume(TokenType.COLUMN); // 'coluna'
+      const columnName = this.consume(TokenType.IDENTIFIER).value;
+      return new AlterTableStatement(tableName, 'DROP_COLUMN', { columnName });
+      
+    } else if (this.match(TokenType.RENAME)) {
+      this.consume(); // 'renomear'
+      
+      if (this.match(TokenType.COLUMN)) {
+        this.consume(); // 'coluna'
+        const columnName = this.consume(TokenType.IDENTIFIER).value;
+        this.consume(TokenType.TO); // 'para'
+        const newName = this.consume(TokenType.IDENTIFIER).value;
+        return new AlterTableStatement(tableName, 'RENAME_COLUMN', { columnName, newName });
+      }
+      
+      this.consume(TokenType.TO); // 'para'
+      const newName = this.consume(TokenType.IDENTIFIER).value;
+      return new AlterTableStatement(tableName, 'RENAME_TABLE', { newName });
+    }
+    
+    this.error('Esperado "adicionar coluna", "remover coluna" ou "renomear" após o nome da tabela');
+  }
+
+  parseShowStatement() {
+    this.consume(TokenType.SHOW); // 'mostrar'
+    
+    if (this.match(TokenType.DATABASES, TokenType.TABLES)) {
+      return new ShowStatement(this.consume().type);
+    }
+    
+    this.error('Esperado "bancos" ou "tabelas" após "mostrar"');
+  }
+
+  parseDescribeStatement() {
+    this.consume(TokenType.DESCRIBE); // 'descrever'
+    
+    // 'tabela' é opcional: descrever tabela X ou descrever X
+    if (this.match(TokenType.TABLE)) {
+      this.consume();
+    }
+    
+    const tableName = this.consume(TokenType.IDENTIFIER).value;
+    return new DescribeTableStatement(tableName);
+  }
+
+  parseExplainStatement() {
+    this.consume(TokenType.EXPLAIN); // 'explicar'
+    
+    if (!this.match(TokenType.SELECT)) {
+      this.error('Esperado "selecionar" após "explicar"');
+    }
+    
+    return new ExplainStatement(this.parseSelectStatement());
+  }
+
+  parseTransactionStatement() {
+    const action = this.consume().type; // 'iniciar', 'confirmar' ou 'desfazer'
+    
+    // 'transacao' é opcional: iniciar transacao
+    if (this.match(TokenType.TRANSACTION)) {
+      this.consume();
+    }
+    
+    return new TransactionStatement(action);
+  }
+
 parseColumnDefinition() {
   const columnName = this.consume(TokenType.IDENTIFIER).value;
   this.consume(TokenType.COLON); // ':'
@@ -495,10 +960,29 @@ parseTableConstraint() {
     const referencedColumn = this.consume(TokenType.IDENTIFIER).value;
     this.consume(TokenType.CLOSE_PAREN); // ')'
     
-    return new TableConstraint('FOREIGN_KEY', columnName, {
+    const options = {
       referencedTable,
-      referencedColumn
-    });
+      referencedColumn,
+      onDelete: 'RESTRICT',
+      onUpdate: 'RESTRICT'
+    };
+    
+    // Ações referenciais: ao remover/atualizar restringir|cascata|anular
+    while (this.match(TokenType.ON)) {
+      this.consume(); // 'ao'
+      
+      if (this.match(TokenType.DELETE)) {
+        this.consume(); // 'remover'
+        options.onDelete = this.parseReferentialAction();
+      } else if (this.match(TokenType.UPDATE)) {
+        this.consume(); // 'atualizar'
+        options.onUpdate = this.parseReferentialAction();
+      } else {
+        this.error('Esperado "remover" ou "atualizar" após "ao"');
+      }
+    }
+    
+    return new TableConstraint('FOREIGN_KEY', columnName, options);
     
   } else if (this.match(TokenType.UNIQUE)) {
     this.consume(); // 'unico'
@@ -512,6 +996,14 @@ parseTableConstraint() {
   this.error('Constraint de tabela não reconhecida');
 }
 
+parseReferentialAction() {
+  if (this.match(TokenType.RESTRICT, TokenType.CASCADE, TokenType.SET_NULL)) {
+    return this.consume().type;
+  }
+  
+  this.error('Esperado "restringir", "cascata" ou "anular"');
+}
+
   parseInsertStatement() {
     this.consume(TokenType.INSERT); // 'inserir'
     this.consume(TokenType.INTO); // 'em'
@@ -538,7 +1030,65 @@ parseTableConstraint() {
       this.consume(TokenType.CLOSE_PAREN); // ')'
     }
     
-    this.consume(TokenType.VALUES); // 'valores'
+    // inserir em t (...) selecionar ...: as colunas do SELECT preenchem as colunas da tabela em ordem
+    let rows = [];
+    let select = null;
+    
+    if (this.match(TokenType.SELECT)) {
+      select = this.parseSelectStatement();
+    } else {
+      this.consume(TokenType.VALUES); // 'valores'
+      
+      // valores (...), (...), ...
+      rows.push(this.parseValuesRow());
+      while (this.match(TokenType.COMMA)) {
+        this.consume(); // ','
+        rows.push(this.parseValuesRow());
+      }
+    }
+    
+    let onConflict = null;
+    if (this.match(TokenType.ON) && this.peekToken().type === TokenType.CONFLICT) {
+      onConflict = this.parseOnConflictClause();
+    }
+    
+    return new InsertStatement(tableName, columns, rows, select, onConflict);
+  }
+
+  // ao conflitar [(colunas)] ignorar
+  // ao conflitar (colunas) atualizar definir coluna = expressão, ...
+  parseOnConflictClause() {
+    this.consume(TokenType.ON); // 'ao'
+    this.consume(TokenType.CONFLICT); // 'conflitar'
+    
+    let columns = null;
+    if (this.match(TokenType.OPEN_PAREN)) {
+      this.consume(); // '('
+      columns = [this.consume(TokenType.IDENTIFIER).value];
+      while (this.match(TokenType.COMMA)) {
+        this.consume(); // ','
+        columns.push(this.consume(TokenType.IDENTIFIER).value);
+      }
+      this.consume(TokenType.CLOSE_PAREN); // ')'
+    }
+    
+    if (this.match(TokenType.IGNORE)) {
+      this.consume(); // 'ignorar'
+      return new OnConflictClause(columns, 'IGNORE');
+    }
+    
+    // Para atualizar é preciso dizer qual chave identifica o registro existente
+    if (!columns) {
+      this.error("'ao conflitar atualizar' requer as colunas do conflito: ao conflitar (coluna) atualizar definir ...");
+    }
+    
+    this.consume(TokenType.UPDATE); // 'atualizar'
+    this.consume(TokenType.SET); // 'definir'
+    
+    return new OnConflictClause(columns, 'UPDATE', this.parseAssignments());
+  }
+
+  parseValuesRow() {
     this.consume(TokenType.OPEN_PAREN); // '('
     
     const values = [];
@@ -555,7 +1105,7 @@ parseTableConstraint() {
     
     this.consume(TokenType.CLOSE_PAREN); // ')'
     
-    return new InsertStatement(tableName, columns, values);
+    return values;
   }
 
   parseUpdateStatement() {
@@ -565,6 +1115,18 @@ parseTableConstraint() {
     
     this.consume(TokenType.SET); // 'definir'
     
+    const assignments = this.parseAssignments();
+    
+    let whereClause = null;
+    if (this.match(TokenType.WHERE)) {
+      whereClause = this.parseWhereClause();
+    }
+    
+    return new UpdateStatement(tableName, assignments, whereClause);
+  }
+
+  // coluna = expressão, ... (UPDATE e 'ao conflitar atualizar')
+  parseAssignments() {
     const assignments = [];
     
     do {
@@ -584,12 +1146,7 @@ parseTableConstraint() {
       }
     } while (true);
     
-    let whereClause = null;
-    if (this.match(TokenType.WHERE)) {
-      whereClause = this.parseWhereClause();
-    }
-    
-    return new UpdateStatement(tableName, assignments, whereClause);
+    return assignments;
   }
 
   parseDeleteStatement() {
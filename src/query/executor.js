@@ -5,13 +5,49 @@ const {
   UpdateStatement,
   DeleteStatement,
   CreateTableStatement,
-  CreateDatabaseStatement
+  CreateDatabaseStatement,
+  LiteralExpression
 } = require('../parser/ast/nodes');
+const { QueryPlanner } = require('./planner');
+const { getScalarFunction, callScalarFunction, addDays } = require('./functions');
+
+const ARITHMETIC_OPERATORS = ['+', '-', '*', '/', '%'];
+const COMPARISON_OPERATORS = [
+  '=', 'equals', '!=', 'not_equals', '<', 'less_than', '>', 'greater_than', '<=', 'less_equal', '>=', 'greater_equal'
+];
+
+// Chave (não enumerável) onde cada linha agrupada guarda as linhas originais do grupo
+const GROUP_ROWS = Symbol('linhasDoGrupo');
+
+// Chave onde cada linha lida das tabelas guarda a descrição das suas colunas (ver
+// createRowLayout), compartilhada pelas linhas com as mesmas fontes. Por ser um
+// símbolo, não aparece em Object.keys e é copiada junto com a linha por '{ ...linha }'
+const ROW_LAYOUT = Symbol('layoutDaLinha');
+
+// Chave (não enumerável) onde a projeção guarda a linha de origem quando a consulta
+// tem ORDER BY, para ordenar por colunas que não foram selecionadas; a ordenação a remove
+const SOURCE_ROW = Symbol('linhaDeOrigem');
+
+// Chave (não enumerável) do escopo em que a condição de uma junção é avaliada: o par
+// { left, right } de linhas candidatas, que só são combinadas se a condição for aceita
+const JOIN_PAIR = Symbol('parDaJuncao');
+
+// Nome pelo qual as atribuições de 'ao conflitar ... atualizar' leem o registro proposto
+const PROPOSED_ROW = 'novo';
 
 class QueryExecutor {
   constructor(storageManager) {
     this.storageManager = storageManager;
     this.currentDatabase = null;
+    this.planner = new QueryPlanner(storageManager);
+    // Tabelas carregadas para o comando em execução (inclusive as usadas em subconsultas)
+    this.queryTables = null;
+    // Planos dos SELECTs do comando em execução (AST -> plano)
+    this.queryPlans = null;
+    // Operações '+'/'-' do comando em execução com operandos do tipo data (nó -> { left, right })
+    this.dateOperations = null;
+    // Linhas das consultas externas, da mais próxima para a mais distante (subconsultas correlacionadas)
+    this.outerRows = [];
   }
 
   setCurrentDatabase(databaseName) {
@@ -32,10 +68,37 @@ class QueryExecutor {
         return await this.executeCreateTable(ast);
       } else if (ast.type === 'CREATE_DATABASE') {
         return await this.executeCreateDatabase(ast);
+      } else if (ast.constructor.name === 'DropTableStatement') {
+        return await this.executeDropTable(ast);
+      } else if (ast.constructor.name === 'DropDatabaseStatement') {
+        return await this.executeDropDatabase(ast);
+      } else if (ast.constructor.name === 'CreateIndexStatement') {
+        return await this.executeCreateIndex(ast);
+      } else if (ast.constructor.name === 'DropIndexStatement') {
+        return await this.executeDropIndex(ast);
+      } else if (ast.constructor.name === 'AlterTableStatement') {
+        return await this.executeAlterTable(ast);
+      } else if (ast.constructor.name === 'ShowStatement') {
+        return await this.executeShow(ast);
+      } else if (ast.constructor.name === 'DescribeTableStatement') {
+        return await this.executeDescribeTable(ast);
+      } else if (ast.constructor.name === 'ExplainStatement') {
+        return await this.executeExplain(ast);
+      } else if (ast.constructor.name === 'TransactionStatement') {
+        return await this.executeTransaction(ast);
       } else {
         throw new Error(`Tipo de comando não implementado: ${ast.constructor.name}`);
       }
     } catch (error) {
+      // Uma falha dentro de uma transação desfaz todas as alterações pendentes
+      if (this.storageManager.isInTransaction() && ast.constructor.name !== 'TransactionStatement') {
+        this.storageManager.rollbackTransaction();
+        return {
+          sucesso: false,
+          mensagem: `❌ Erro na execução: ${error.message} (transação desfeita)`
+        };
+      }
+
       return {
         sucesso: false,
         mensagem: `❌ Erro na execução: ${error.message}`
@@ -48,135 +111,649 @@ class QueryExecutor {
       throw new Error('Nenhum banco selecionado');
     }
 
-    // Carregar tabela principal
-    const mainTable = await this.storageManager.loadTable(
-      this.currentDatabase, 
-      ast.fromClause.tableName
-    );
+    const resultSet = await this.withQueryTables(ast, query => this.runSelect(query));
 
-    if (!mainTable) {
-      throw new Error(`Tabela '${ast.fromClause.tableName}' não encontrada`);
+    return {
+      sucesso: true,
+      resultados: resultSet,
+      mensagem: `📊 ${resultSet.length} registro(s) encontrado(s)`
+    };
+  }
+
+  // Subconsultas são avaliadas no meio das expressões, de forma síncrona: todas as
+  // tabelas citadas pelo comando são carregadas antes de executá-lo
+  // targetScopes: fontes ({ name, tableData }) da tabela alterada pelo comando, visíveis no
+  // WHERE e nas atribuições, por nível (ver prepareDateExpressions). callback recebe o
+  // comando com os literais de data convertidos
+  async withQueryTables(ast, callback, targetScopes = []) {
+    const previousTables = this.queryTables;
+    const previousPlans = this.queryPlans;
+    const previousDateOperations = this.dateOperations;
+    this.checkFunctionCalls(ast);
+    this.queryTables = await this.loadQueryTables(ast);
+    this.queryPlans = new WeakMap();
+    this.dateOperations = new WeakMap();
+
+    try {
+      return await callback(this.prepareDateExpressions(ast, targetScopes));
+    } finally {
+      this.queryTables = previousTables;
+      this.queryPlans = previousPlans;
+      this.dateOperations = previousDateOperations;
     }
+  }
 
-    let resultSet = this.convertTableToResultSet(mainTable, ast.fromClause.tableName, ast.fromClause.alias);
+  async loadQueryTables(ast) {
+    const tableNames = new Set();
+    this.collectTableNames(ast, tableNames);
 
-    // Processar JOINs
-    for (const joinClause of ast.joinClauses) {
-      const joinTable = await this.storageManager.loadTable(
-        this.currentDatabase, 
-        joinClause.tableName
-      );
+    const tables = new Map();
+    for (const tableName of tableNames) {
+      const tableData = await this.storageManager.loadTable(this.currentDatabase, tableName);
+      if (!tableData) {
+        throw new Error(`Tabela '${tableName}' não encontrada`);
+      }
+      tables.set(tableName, tableData);
+    }
 
-      if (!joinTable) {
-        throw new Error(`Tabela '${joinClause.tableName}' não encontrada`);
+    return tables;
+  }
+
+  collectTableNames(node, tableNames) {
+    if (!node || typeof node !== 'object') return;
+
+    if (node.constructor.name === 'SelectStatement') {
+      if (node.fromClause.tableName) {
+        tableNames.add(node.fromClause.tableName);
+      }
+      for (const joinClause of node.joinClauses) {
+        tableNames.add(joinClause.tableName);
       }
+    }
 
-      resultSet = this.performJoin(
-        resultSet, 
-        this.convertTableToResultSet(joinTable, joinClause.tableName, joinClause.alias),
-        joinClause
-      );
+    for (const child of Object.values(node)) {
+      this.collectTableNames(child, tableNames);
     }
+  }
 
-    // Aplicar WHERE
-    if (ast.whereClause) {
-      resultSet = this.applyWhere(resultSet, ast.whereClause.condition);
+  // Funções desconhecidas ou com argumentos a mais/menos são erros mesmo que
+  // nenhuma linha chegue a avaliá-las
+  checkFunctionCalls(node) {
+    if (!node || typeof node !== 'object') return;
+
+    if (node.constructor.name === 'FunctionCallExpression') {
+      getScalarFunction(node.name, node.args.length);
     }
 
-    // Aplicar GROUP BY
-    if (ast.groupByClause) {
-      resultSet = this.applyGroupBy(resultSet, ast.groupByClause);
+    for (const child of Object.values(node)) {
+      this.checkFunctionCalls(child);
     }
+  }
 
-    // Aplicar SELECT (projeção)
-    resultSet = this.applyProjection(resultSet, ast.selectList);
+  // O tipo das colunas decide o que as expressões com datas fazem:
+  // - textos comparados com colunas data/datahora são convertidos para o tipo da coluna, na
+  //   forma em que os valores são gravados: datahora '2024-01-01 10:00' vira
+  //   '2024-01-01T10:00:00.000Z'
+  // - '+' e '-' com um operando do tipo data (ver getDateType) são registrados em
+  //   dateOperations como data ± dias; entre textos, '+' continua concatenando
+  // Retorna uma cópia da AST com os literais convertidos; a AST do comando não é alterada
+  // e os nós sem conversão são compartilhados com a cópia.
+  // scopes: fontes visíveis ({ name, tableData }), da consulta mais interna para a mais externa
+  prepareDateExpressions(node, scopes = []) {
+    if (!node || typeof node !== 'object') return node;
+
+    if (Array.isArray(node)) {
+      const items = node.map(item => this.prepareDateExpressions(item, scopes));
+      return items.some((item, i) => item !== node[i]) ? items : node;
+    }
 
-    // Aplicar ORDER BY
-    if (ast.orderByClause) {
-      resultSet = this.applyOrderBy(resultSet, ast.orderByClause);
+    if (node.constructor.name === 'SelectStatement') {
+      scopes = [this.getStatementSources(node), ...scopes];
     }
 
-    return {
-      sucesso: true,
-      resultados: resultSet,
-      mensagem: `📊 ${resultSet.length} registro(s) encontrado(s)`
+    let result = node;
+    const replace = (key, value) => {
+      if (value === result[key]) return;
+      if (result === node) {
+        result = Object.assign(Object.create(Object.getPrototypeOf(node)), node);
+      }
+      result[key] = value;
+    };
+
+    for (const [key, child] of Object.entries(node)) {
+      replace(key, this.prepareDateExpressions(child, scopes));
+    }
+
+    switch (node.constructor.name) {
+      case 'BinaryExpression':
+        if (COMPARISON_OPERATORS.includes(node.operator)) {
+          replace('left', this.coerceDateLiteral(result.right, result.left, scopes));
+          replace('right', this.coerceDateLiteral(result.left, result.right, scopes));
+        } else if (ARITHMETIC_OPERATORS.includes(node.operator)) {
+          this.registerDateOperation(result, scopes);
+        }
+        break;
+      case 'InExpression':
+        if (Array.isArray(result.values)) {
+          const values = result.values.map(value => this.coerceDateLiteral(result.operand, value, scopes));
+          if (values.some((value, i) => value !== result.values[i])) {
+            replace('values', values);
+          }
+        }
+        break;
+      case 'BetweenExpression':
+        replace('lower', this.coerceDateLiteral(result.operand, result.lower, scopes));
+        replace('upper', this.coerceDateLiteral(result.operand, result.upper, scopes));
+        break;
+    }
+
+    return result;
+  }
+
+  // Só data + dias, dias + data e data - dias são válidos; os dias são conferidos ao avaliar
+  registerDateOperation(expression, scopes) {
+    const dateOperands = {
+      left: Boolean(this.getDateType(expression.left, scopes)),
+      right: Boolean(this.getDateType(expression.right, scopes))
     };
+    if (!dateOperands.left && !dateOperands.right) return;
+
+    const isValid = !(dateOperands.left && dateOperands.right) &&
+      (expression.operator === '+' || (expression.operator === '-' && dateOperands.left));
+    if (!isValid) {
+      throw this.dateArithmeticError(expression.operator);
+    }
+
+    this.dateOperations.set(expression, dateOperands);
+  }
+
+  // 'data' ou 'datahora' para as expressões do tipo data: colunas e literais desses tipos,
+  // funções que retornam datas, minimo/maximo de datas e data ± dias; null nas demais
+  getDateType(expression, scopes) {
+    switch (expression.constructor.name) {
+      case 'IdentifierExpression': {
+        const type = this.findColumnType(expression, scopes);
+        const baseType = type && this.storageManager.constraintValidator.parseColumnType(type).baseType;
+        return ['data', 'datahora'].includes(baseType) ? baseType : null;
+      }
+      case 'LiteralExpression':
+        if (expression.type !== 'DATE') return null;
+        return expression.value.includes('T') ? 'datahora' : 'data';
+      case 'FunctionCallExpression': {
+        const { returnsDate } = getScalarFunction(expression.name, expression.args.length);
+        if (returnsDate === 'argumento') {
+          return this.getDateType(expression.args[0], scopes);
+        }
+        return returnsDate || null;
+      }
+      case 'AggregateExpression':
+        return ['MIN', 'MAX'].includes(expression.functionName) &&
+          expression.argument.constructor.name !== 'AllColumnsExpression'
+          ? this.getDateType(expression.argument, scopes)
+          : null;
+      case 'BinaryExpression':
+        return ['+', '-'].includes(expression.operator)
+          ? this.getDateType(expression.left, scopes) || this.getDateType(expression.right, scopes)
+          : null;
+      default:
+        return null;
+    }
+  }
+
+  // Tabelas do FROM e dos JOINs, com os tipos das colunas
+  getStatementSources(select) {
+    const clauses = [select.fromClause, ...select.joinClauses];
+    return clauses
+      .filter(clause => clause.subquery || this.queryTables.has(clause.tableName))
+      .map(clause => ({
+        name: clause.alias || clause.tableName,
+        tableData: clause.subquery ? this.getDerivedTableData(clause.subquery) : this.queryTables.get(clause.tableName)
+      }));
+  }
+
+  // Tipos das colunas de uma tabela derivada: os das colunas repetidas (por nome ou por
+  // '*') e, nas calculadas, o tipo data ou datahora (ver getDateType)
+  getDerivedTableData(select) {
+    const sources = this.getStatementSources(select);
+    const columnNames = this.getColumnNames(select.selectList);
+    const colunas = {};
+
+    select.selectList.columns.forEach((column, i) => {
+      const { expression } = column;
+      if (expression.constructor.name === 'AllColumnsExpression') {
+        for (const source of sources) {
+          if (!expression.tableName || source.name === expression.tableName) {
+            Object.assign(colunas, source.tableData.colunas);
+          }
+        }
+      } else {
+        const type = expression.constructor.name === 'IdentifierExpression'
+          ? this.findColumnType(expression, [sources])
+          : this.getDateType(expression, [sources]);
+        if (type) {
+          colunas[this.stripSourceName(columnNames[i])] = { '@tipo': type };
+        }
+      }
+    });
+
+    return { colunas };
+  }
+
+  // O literal convertido para o tipo da coluna comparada, ou o próprio literal
+  coerceDateLiteral(columnExpression, literal, scopes) {
+    if (columnExpression.constructor.name !== 'IdentifierExpression' ||
+        literal.constructor.name !== 'LiteralExpression' || typeof literal.value !== 'string') {
+      return literal;
+    }
+
+    const type = this.findColumnType(columnExpression, scopes);
+    if (!type || !['data', 'datahora'].includes(this.storageManager.constraintValidator.parseColumnType(type).baseType)) {
+      return literal;
+    }
+
+    let value;
+    try {
+      value = this.storageManager.constraintValidator.coerceValue(literal.value, type);
+    } catch (error) {
+      throw new Error(`Valor inválido para comparação com a coluna '${columnExpression.name}' (${type}): ${error.message}`);
+    }
+    return value === literal.value ? literal : new LiteralExpression(value, literal.type);
+  }
+
+  // Tipo da coluna na fonte mais interna que a possui, ou null (coluna desconhecida ou ambígua)
+  findColumnType(expression, scopes) {
+    for (const sources of scopes) {
+      const owners = sources.filter(source => expression.tableName
+        ? source.name === expression.tableName
+        : Boolean(source.tableData.colunas[expression.name]));
+
+      if (owners.length === 0) continue;
+      if (owners.length > 1) return null;
+
+      const columnDef = owners[0].tableData.colunas[expression.name];
+      return columnDef ? columnDef['@tipo'] : null;
+    }
+    return null;
+  }
+
+  // Executa o SELECT sobre as tabelas já carregadas e retorna as linhas projetadas
+  runSelect(ast) {
+    return this.executePlan(this.getPlan(ast));
+  }
+
+  // O plano de cada SELECT é montado uma vez por comando (subconsultas
+  // correlacionadas são executadas uma vez por linha externa)
+  getPlan(select) {
+    let plan = this.queryPlans.get(select);
+    if (!plan) {
+      plan = this.planner.plan(select, this.queryTables, this.currentDatabase);
+      this.queryPlans.set(select, plan);
+    }
+    return plan;
+  }
+
+  executePlan(node) {
+    switch (node.type) {
+      case 'SeqScan':
+        return this.convertTableToResultSet(this.queryTables.get(node.table), node.table, node.alias);
+      case 'IndexScan': {
+        const tableData = this.queryTables.get(node.table);
+        const layout = this.createTableLayout(tableData, node.alias);
+        return this.lookupIndex(node.table, tableData, node.access)
+          .map(regId => this.recordToRow(tableData.registros[regId], layout));
+      }
+      case 'SubqueryScan':
+        return this.scanSubquery(node);
+      case 'Filter':
+        return this.applyWhere(this.executePlan(node.input), node.condition);
+      case 'NestedLoopJoin':
+        return this.performJoin(this.executePlan(node.left), this.executePlan(node.right), node);
+      case 'HashJoin':
+        return this.performHashJoin(this.executePlan(node.left), this.executePlan(node.right), node);
+      case 'MergeJoin':
+        return this.performMergeJoin(this.executePlan(node.left), this.executePlan(node.right), node);
+      case 'Aggregate':
+        return this.applyGroupBy(this.executePlan(node.input), node.groupByClause);
+      case 'Having':
+        return this.applyHaving(this.executePlan(node.input), node.havingClause, node.selectList);
+      case 'Project':
+        return this.applyProjection(this.executePlan(node.input), node.selectList, node.keepSourceRows);
+      case 'Distinct':
+        return this.applyDistinct(this.executePlan(node.input));
+      case 'Sort':
+        return this.applyOrderBy(this.executePlan(node.input), node.orderByClause);
+      case 'Limit':
+        return this.applyLimit(this.executePlan(node.input), node.limitClause);
+      default:
+        throw new Error(`Etapa de plano não suportada: ${node.type}`);
+    }
+  }
+
+  // Tabela derivada: as linhas projetadas da subconsulta passam a ser colunas do alias
+  scanSubquery(node) {
+    const projectedRows = this.executePlan(node.input);
+    const keys = this.getProjectedKeys(node.select);
+    const columns = keys.map(key => this.stripSourceName(key));
+    const layout = this.createRowLayout([{ name: node.alias, columns: [...new Set(columns)] }]);
+
+    return projectedRows.map(projectedRow => {
+      const row = { [ROW_LAYOUT]: layout };
+      keys.forEach((key, i) => {
+        row[`${node.alias}.${columns[i]}`] = projectedRow[key] === undefined ? null : projectedRow[key];
+      });
+      return row;
+    });
+  }
+
+  // Chaves das linhas projetadas por um SELECT, na ordem de applyProjection. Vêm da
+  // lista do SELECT e do esquema das fontes, então existem mesmo sem nenhuma linha
+  getProjectedKeys(select) {
+    const columnNames = this.getColumnNames(select.selectList);
+    const keys = [];
+
+    select.selectList.columns.forEach((column, i) => {
+      const { expression } = column;
+      if (expression.constructor.name !== 'AllColumnsExpression') {
+        keys.push(columnNames[i]);
+        return;
+      }
+
+      const sources = this.getStatementSourceColumns(select);
+      if (expression.tableName) {
+        const source = sources.find(candidate => candidate.name === expression.tableName);
+        if (!source) {
+          throw new Error(`Tabela '${expression.tableName}' não faz parte da consulta`);
+        }
+        keys.push(...source.columns);
+      } else {
+        keys.push(...this.createRowLayout(sources).headers.map(([, header]) => header));
+      }
+    });
+
+    return [...new Set(keys)];
+  }
+
+  // { name, columns } de cada fonte do FROM e dos JOINs de um SELECT
+  getStatementSourceColumns(select) {
+    return [select.fromClause, ...select.joinClauses].map(clause => ({
+      name: clause.alias || clause.tableName,
+      columns: clause.subquery
+        ? this.getDerivedColumns(clause.subquery)
+        : Object.keys(this.queryTables.get(clause.tableName).colunas || {})
+    }));
+  }
+
+  // Colunas de uma tabela derivada: as chaves projetadas pela subconsulta, sem o nome da fonte
+  getDerivedColumns(select) {
+    return [...new Set(this.getProjectedKeys(select).map(key => this.stripSourceName(key)))];
+  }
+
+  // 'u.nome' -> 'nome': numa tabela derivada, as colunas passam a ser do alias
+  stripSourceName(key) {
+    return key.includes('.') ? key.substring(key.lastIndexOf('.') + 1) : key;
+  }
+
+  // regIds dos registros que satisfazem os predicados resolvidos pelo índice escolhido pelo planejador
+  lookupIndex(tableName, tableData, access) {
+    const index = this.storageManager.getTableIndex(this.currentDatabase, tableName, tableData, access.definition.colunas);
+
+    if (access.kind === 'range') {
+      return index.findRange(access.lower, access.upper, access.lowerInclusive, access.upperInclusive);
+    }
+    return [...new Set(access.keys.flatMap(key => index.find(key)))];
   }
 
   convertTableToResultSet(tableData, tableName, alias = null) {
-    const effectiveName = alias || tableName;
-    const resultSet = [];
+    const layout = this.createTableLayout(tableData, alias || tableName);
+    return Object.values(tableData.registros || {}).map(registro => this.recordToRow(registro, layout));
+  }
 
-    if (!tableData.registros || Object.keys(tableData.registros).length === 0) {
-      return resultSet;
+  // Os valores de uma linha ficam nas chaves 'fonte.coluna' (fonte é a tabela ou o
+  // seu alias). O layout lista as colunas de cada fonte, para resolver colunas sem
+  // prefixo (ambíguas quando mais de uma fonte tem a coluna) e montar o 'selecionar *'
+  createRowLayout(sources) {
+    const byColumn = new Map();
+    for (const { name, columns } of sources) {
+      for (const column of columns) {
+        if (!byColumn.has(column)) {
+          byColumn.set(column, []);
+        }
+        byColumn.get(column).push(name);
+      }
     }
 
-    for (const [regId, registro] of Object.entries(tableData.registros)) {
-      const row = {};
-      for (const [campo, valor] of Object.entries(registro)) {
-        // Adicionar com prefixo da tabela
-        row[`${effectiveName}.${campo}`] = valor;
-        // Adicionar sem prefixo se não houver conflito
-        row[campo] = valor;
+    // selecionar *: cada coluna uma vez, com o nome da fonte só quando o nome da coluna se repete
+    const headers = [];
+    for (const { name, columns } of sources) {
+      for (const column of columns) {
+        headers.push([`${name}.${column}`, byColumn.get(column).length > 1 ? `${name}.${column}` : column]);
       }
-      resultSet.push(row);
     }
 
-    return resultSet;
+    return { sources, byColumn, headers };
   }
 
-  performJoin(leftResultSet, rightResultSet, joinClause) {
+  createTableLayout(tableData, effectiveName) {
+    return this.createRowLayout([{ name: effectiveName, columns: Object.keys(tableData.colunas || {}) }]);
+  }
+
+  recordToRow(registro, layout) {
+    const row = { [ROW_LAYOUT]: layout };
+    const { name, columns } = layout.sources[0];
+    // Colunas ausentes no registro são nulas: preenchê-las evita que uma coluna
+    // nula seja confundida com uma coluna de outra tabela (ou da consulta externa)
+    for (const column of columns) {
+      row[`${name}.${column}`] = registro[column] === undefined ? null : registro[column];
+    }
+    return row;
+  }
+
+  performJoin(leftResultSet, rightResultSet, node) {
+    // Laço aninhado: toda linha da direita é candidata
+    return this.combineJoinRows(leftResultSet, rightResultSet, node, () => rightResultSet.keys());
+  }
+
+  // Junção por igualdade: as linhas da direita são agrupadas pela chave e cada
+  // linha da esquerda só é comparada com as do seu grupo. A ordem do resultado
+  // é a mesma do laço aninhado
+  performHashJoin(leftResultSet, rightResultSet, node) {
+    const buckets = new Map();
+
+    rightResultSet.forEach((rightRow, i) => {
+      const key = this.hashKey(this.evaluateExpression(node.rightKey, rightRow));
+      if (key === null) return;
+
+      if (!buckets.has(key)) {
+        buckets.set(key, []);
+      }
+      buckets.get(key).push(i);
+    });
+
+    return this.combineJoinRows(leftResultSet, rightResultSet, node, leftRow => {
+      const key = this.hashKey(this.evaluateExpression(node.leftKey, leftRow));
+      return (key !== null && buckets.get(key)) || [];
+    });
+  }
+
+  // Junção por intercalação: as duas entradas estão em ordem crescente da chave,
+  // então cada linha da esquerda só percorre o trecho da direita com a mesma chave
+  performMergeJoin(leftResultSet, rightResultSet, node) {
+    const rightKeys = rightResultSet.map(rightRow => this.evaluateExpression(node.rightKey, rightRow));
+    let start = 0;
+
+    return this.combineJoinRows(leftResultSet, rightResultSet, node, leftRow => {
+      const key = this.evaluateExpression(node.leftKey, leftRow);
+      const candidates = [];
+      if (key === null || key === undefined) return candidates;
+
+      while (start < rightKeys.length && (rightKeys[start] === null || rightKeys[start] === undefined || rightKeys[start] < key)) {
+        start++;
+      }
+      for (let i = start; i < rightKeys.length && rightKeys[i] === key; i++) {
+        candidates.push(i);
+      }
+      return candidates;
+    });
+  }
+
+  // Monta as linhas da junção. findCandidates(leftRow) retorna os índices das linhas
+  // da direita que podem formar par; a condição completa confirma cada par (chaves
+  // iguais e demais predicados do ON). Linhas sem par dos lados preservados por
+  // LEFT, RIGHT ou FULL são completadas com nulos
+  combineJoinRows(leftResultSet, rightResultSet, node, findCandidates) {
+    const keepLeft = node.joinType === 'LEFT' || node.joinType === 'FULL';
+    const keepRight = node.joinType === 'RIGHT' || node.joinType === 'FULL';
+    const leftSources = node.leftSources.map(source => this.getSourceColumns(source));
+    const rightSources = node.rightSources.map(source => this.getSourceColumns(source));
+    const layout = this.createRowLayout([...leftSources, ...rightSources]);
+    const matchedRight = new Set();
     const result = [];
-    const condition = joinClause.onCondition;
+
+    // A condição é avaliada sobre o par de linhas, sem copiá-las: só os pares aceitos
+    // são combinados numa nova linha
+    const pair = { left: null, right: null };
+    const pairScope = { [JOIN_PAIR]: pair, [ROW_LAYOUT]: layout };
 
     for (const leftRow of leftResultSet) {
-      const matches = [];
+      let matched = false;
+      pair.left = leftRow;
 
-      for (const rightRow of rightResultSet) {
-        const combinedRow = { ...leftRow, ...rightRow };
-        
-        if (this.evaluateCondition(condition, combinedRow)) {
-          matches.push({ ...leftRow, ...rightRow });
+      for (const i of findCandidates(leftRow)) {
+        pair.right = rightResultSet[i];
+
+        if (!node.condition || this.evaluateCondition(node.condition, pairScope)) {
+          result.push({ ...leftRow, ...rightResultSet[i], [ROW_LAYOUT]: layout });
+          matched = true;
+          matchedRight.add(i);
         }
       }
 
-      if (matches.length > 0) {
-        result.push(...matches);
-      } else if (joinClause.joinType === 'LEFT') {
-        // LEFT JOIN: incluir linha da esquerda mesmo sem match
-        const nullRow = {};
-        const rightTableName = joinClause.alias || joinClause.tableName;
-        
-        // Adicionar valores null para colunas da tabela direita
-        for (const key of Object.keys(rightResultSet[0] || {})) {
-          if (key.startsWith(`${rightTableName}.`)) {
-            nullRow[key] = null;
-          }
-        }
-        
-        result.push({ ...leftRow, ...nullRow });
+      if (!matched && keepLeft) {
+        result.push({ ...leftRow, ...this.createNullRow(rightSources), [ROW_LAYOUT]: layout });
       }
     }
 
+    if (keepRight) {
+      const nullLeftRow = this.createNullRow(leftSources);
+      rightResultSet.forEach((rightRow, i) => {
+        if (!matchedRight.has(i)) {
+          result.push({ ...nullLeftRow, ...rightRow, [ROW_LAYOUT]: layout });
+        }
+      });
+    }
+
     return result;
   }
 
+  // Grupo compatível com valuesEqual: um número e um texto numérico caem no
+  // mesmo grupo; nulo não é igual a nada
+  hashKey(value) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    if (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)))) {
+      return `numero:${Number(value)}`;
+    }
+    return `${typeof value}:${value}`;
+  }
+
+  // { name, columns } de uma fonte da junção: as colunas vêm do esquema da tabela ou,
+  // numa tabela derivada, da lista do SELECT (ver getProjectedKeys)
+  getSourceColumns({ name, table, subquery }) {
+    if (table) {
+      return { name, columns: Object.keys(this.queryTables.get(table).colunas || {}) };
+    }
+
+    return { name, columns: this.getDerivedColumns(subquery) };
+  }
+
+  // Nulos para todas as colunas das fontes do lado sem par
+  createNullRow(sources) {
+    const nullRow = {};
+    for (const { name, columns } of sources) {
+      for (const column of columns) {
+        nullRow[`${name}.${column}`] = null;
+      }
+    }
+    return nullRow;
+  }
+
   applyWhere(resultSet, condition) {
     return resultSet.filter(row => this.evaluateCondition(condition, row));
   }
 
+  // Lógica de três valores: o resultado é true, false ou null (desconhecido).
+  // Filtros (WHERE, ON, HAVING) só mantêm as linhas em que a condição é true
   evaluateCondition(condition, row) {
+    if (condition.constructor.name === 'UnaryExpression' && this.isNotOperator(condition.operator)) {
+      const operand = this.evaluateCondition(condition.operand, row);
+      return operand === null ? null : !operand;
+    }
+
+    if (condition.constructor.name === 'InExpression') {
+      return this.evaluateIn(condition, row);
+    }
+
+    if (condition.constructor.name === 'ExistsExpression') {
+      return this.runSubquery(condition.subquery, row).length > 0;
+    }
+
+    if (condition.constructor.name === 'BetweenExpression') {
+      const value = this.evaluateExpression(condition.operand, row);
+      const lower = this.evaluateExpression(condition.lower, row);
+      const upper = this.evaluateExpression(condition.upper, row);
+      if ([value, lower, upper].some(v => v === null || v === undefined)) {
+        return null;
+      }
+      const inRange = value >= lower && value <= upper;
+      return condition.negated ? !inRange : inRange;
+    }
+
+    if (condition.constructor.name === 'IsNullExpression') {
+      const value = this.evaluateExpression(condition.operand, row);
+      const isNull = value === null || value === undefined;
+      return condition.negated ? !isNull : isNull;
+    }
+
     if (condition.constructor.name === 'BinaryExpression') {
+      switch (condition.operator) {
+        case 'e':
+        case 'and': {
+          const left = this.evaluateCondition(condition.left, row);
+          if (left === false) return false;
+          const right = this.evaluateCondition(condition.right, row);
+          if (right === false) return false;
+          return left === null || right === null ? null : true;
+        }
+        case 'ou':
+        case 'or': {
+          const left = this.evaluateCondition(condition.left, row);
+          if (left === true) return true;
+          const right = this.evaluateCondition(condition.right, row);
+          if (right === true) return true;
+          return left === null || right === null ? null : false;
+        }
+      }
+
+      if (ARITHMETIC_OPERATORS.includes(condition.operator)) {
+        return this.toTruthValue(this.evaluateExpression(condition, row));
+      }
+
       const leftValue = this.evaluateExpression(condition.left, row);
       const rightValue = this.evaluateExpression(condition.right, row);
 
+      // Comparar com nulo nunca é verdadeiro nem falso (use 'é nulo')
+      if (leftValue === null || leftValue === undefined || rightValue === null || rightValue === undefined) {
+        return null;
+      }
+
       switch (condition.operator) {
         case '=':
         case 'equals':
-          return leftValue == rightValue;
+          return this.valuesEqual(leftValue, rightValue);
         case '!=':
         case 'not_equals':
-          return leftValue != rightValue;
+          return !this.valuesEqual(leftValue, rightValue);
         case '<':
         case 'less_than':
           return leftValue < rightValue;
@@ -192,50 +769,241 @@ class QueryExecutor {
         case 'like':
         case 'como':
           return this.evaluateLike(leftValue, rightValue);
-        case 'e':
-        case 'and':
-          return this.evaluateCondition(condition.left, row) && 
-                 this.evaluateCondition(condition.right, row);
-        case 'ou':
-        case 'or':
-          return this.evaluateCondition(condition.left, row) || 
-                 this.evaluateCondition(condition.right, row);
         default:
           throw new Error(`Operador não suportado: ${condition.operator}`);
       }
     }
 
-    return true;
+    return this.toTruthValue(this.evaluateExpression(condition, row));
+  }
+
+  // 'x em (a, b)' equivale a 'x = a ou x = b': um nulo na lista torna
+  // desconhecido o resultado de um valor que não foi encontrado
+  evaluateIn(condition, row) {
+    const value = this.evaluateExpression(condition.operand, row);
+    if (value === null || value === undefined) {
+      return null;
+    }
+
+    const candidates = Array.isArray(condition.values)
+      ? condition.values.map(item => this.evaluateExpression(item, row))
+      : this.evaluateSubqueryColumn(condition.values.select, row);
+
+    let sawNull = false;
+    for (const candidate of candidates) {
+      if (candidate === null || candidate === undefined) {
+        sawNull = true;
+      } else if (this.valuesEqual(value, candidate)) {
+        return !condition.negated;
+      }
+    }
+
+    return sawNull ? null : condition.negated;
+  }
+
+  // Procura a coluna na linha atual e, dentro de subconsultas, nas linhas das consultas
+  // externas. Uma fonte da linha que tem o nome do prefixo esconde as externas; uma tabela
+  // ou coluna que nenhuma linha conhece é um erro. Linhas sem layout (o grupo vazio de uma
+  // agregação, os valores de um INSERT) não descrevem suas colunas: nelas a coluna é nula
+  resolveColumn(expression, row) {
+    const scopes = [row, ...this.outerRows];
+
+    if (expression.tableName) {
+      const qualifiedName = `${expression.tableName}.${expression.name}`;
+      for (const scope of scopes) {
+        const holder = this.getKeyHolder(scope, qualifiedName);
+        if (qualifiedName in holder) return holder[qualifiedName];
+
+        const layout = scope[ROW_LAYOUT];
+        if (layout && layout.sources.some(source => source.name === expression.tableName)) {
+          throw new Error(`Coluna '${expression.name}' não existe em '${expression.tableName}'`);
+        }
+      }
+
+      if (scopes.every(scope => scope[ROW_LAYOUT])) {
+        throw new Error(`Tabela '${expression.tableName}' não faz parte da consulta`);
+      }
+      return undefined;
+    }
+
+    for (const scope of scopes) {
+      const value = this.resolveUnqualifiedColumn(expression.name, scope);
+      if (value !== undefined) return value;
+    }
+
+    if (scopes.every(scope => scope[ROW_LAYOUT])) {
+      throw new Error(`Coluna '${expression.name}' não existe nas tabelas da consulta`);
+    }
+    return undefined;
+  }
+
+  // Chaves da própria linha (linhas projetadas, aliases do HAVING) têm prioridade;
+  // senão, a coluna da única fonte da linha que a possui
+  resolveUnqualifiedColumn(name, row) {
+    const holder = this.getKeyHolder(row, name);
+    if (holder[name] !== undefined) {
+      return holder[name];
+    }
+
+    const layout = row[ROW_LAYOUT];
+    const owners = layout && layout.byColumn.get(name);
+    if (!owners) {
+      return undefined;
+    }
+    if (owners.length > 1) {
+      throw this.planner.ambiguousColumnError(name, owners);
+    }
+    const key = `${owners[0]}.${name}`;
+    return this.getKeyHolder(row, key)[key];
+  }
+
+  // Objeto que guarda a chave da linha: a própria linha ou, no par de uma junção, a
+  // linha do lado que a possui
+  getKeyHolder(row, key) {
+    const pair = row[JOIN_PAIR];
+    if (!pair) return row;
+    return key in pair.left ? pair.left : pair.right;
+  }
+
+  // Executa a subconsulta tendo a linha atual como escopo externo
+  runSubquery(select, row) {
+    this.outerRows.unshift(row);
+    try {
+      return this.runSelect(select);
+    } finally {
+      this.outerRows.shift();
+    }
+  }
+
+  // Valores da única coluna retornada pela subconsulta
+  evaluateSubqueryColumn(select, row) {
+    const columns = select.selectList.columns;
+    if (columns.length !== 1 || columns[0].expression.constructor.name === 'AllColumnsExpression') {
+      throw new Error('Subconsulta deve retornar uma única coluna');
+    }
+
+    return this.runSubquery(select, row).map(projectedRow => Object.values(projectedRow)[0]);
+  }
+
+  toTruthValue(value) {
+    return value === null || value === undefined ? null : Boolean(value);
+  }
+
+  // Igualdade sem as conversões do '==' do JavaScript (0 = '' ou falso = 0 não são iguais);
+  // apenas um texto numérico é comparado com um número pelo seu valor
+  valuesEqual(left, right) {
+    if (typeof left === typeof right) {
+      return left === right;
+    }
+
+    if (typeof left === 'number' && typeof right === 'string' && right.trim() !== '') {
+      return left === Number(right);
+    }
+
+    if (typeof left === 'string' && typeof right === 'number' && left.trim() !== '') {
+      return Number(left) === right;
+    }
+
+    return false;
+  }
+
+  isNotOperator(operator) {
+    return operator === 'nao' || operator === 'não' || operator === 'not';
   }
 
   evaluateExpression(expression, row) {
     if (expression.constructor.name === 'LiteralExpression') {
       return expression.value;
     } else if (expression.constructor.name === 'IdentifierExpression') {
-      const columnName = expression.tableName 
-        ? `${expression.tableName}.${expression.name}`
-        : expression.name;
-      
-      // Tentar com prefixo da tabela primeiro, depois sem prefixo
-      return row[columnName] !== undefined ? row[columnName] : row[expression.name];
+      return this.resolveColumn(expression, row);
+    } else if (expression.constructor.name === 'SubqueryExpression') {
+      const values = this.evaluateSubqueryColumn(expression.select, row);
+      if (values.length > 1) {
+        throw new Error('Subconsulta escalar retornou mais de um registro');
+      }
+      return values.length === 0 ? null : values[0];
+    } else if (expression.constructor.name === 'AggregateExpression') {
+      return this.evaluateAggregate(expression, row);
+    } else if (expression.constructor.name === 'FunctionCallExpression') {
+      const args = expression.args.map(arg => this.evaluateExpression(arg, row));
+      return callScalarFunction(expression.name, args);
+    } else if (['IsNullExpression', 'InExpression', 'BetweenExpression', 'ExistsExpression'].includes(expression.constructor.name)) {
+      return this.evaluateCondition(expression, row);
+    } else if (expression.constructor.name === 'UnaryExpression') {
+      if (this.isNotOperator(expression.operator)) {
+        return this.evaluateCondition(expression, row);
+      }
+      return this.evaluateArithmetic('-', 0, this.evaluateExpression(expression.operand, row));
     } else if (expression.constructor.name === 'BinaryExpression') {
-      // Para expressões matemáticas simples
+      // Comparações e operadores lógicos resultam em booleano
+      if (!ARITHMETIC_OPERATORS.includes(expression.operator)) {
+        return this.evaluateCondition(expression, row);
+      }
+
       const left = this.evaluateExpression(expression.left, row);
       const right = this.evaluateExpression(expression.right, row);
-      
-      switch (expression.operator) {
-        case '+': return left + right;
-        case '-': return left - right;
-        case '*': return left * right;
-        case '/': return left / right;
-        default:
-          throw new Error(`Operador matemático não suportado: ${expression.operator}`);
-      }
+      const dateOperands = this.dateOperations && this.dateOperations.get(expression);
+      return dateOperands
+        ? this.evaluateDateArithmetic(expression.operator, left, right, dateOperands)
+        : this.evaluateArithmetic(expression.operator, left, right);
     }
 
     throw new Error(`Tipo de expressão não suportado: ${expression.constructor.name}`);
   }
 
+  evaluateArithmetic(operator, left, right) {
+    // Qualquer operando nulo torna o resultado nulo
+    if (left === null || left === undefined || right === null || right === undefined) {
+      return null;
+    }
+
+    // '+' entre textos concatena
+    if (operator === '+' && (typeof left === 'string' || typeof right === 'string')) {
+      return String(left) + String(right);
+    }
+
+    const a = Number(left);
+    const b = Number(right);
+
+    if (isNaN(a) || isNaN(b)) {
+      throw new Error(`Operador '${operator}' requer valores numéricos`);
+    }
+
+    switch (operator) {
+      case '+': return a + b;
+      case '-': return a - b;
+      case '*': return a * b;
+      case '/':
+        if (b === 0) throw new Error('Divisão por zero');
+        return a / b;
+      case '%':
+        if (b === 0) throw new Error('Divisão por zero');
+        return a % b;
+      default:
+        throw new Error(`Operador matemático não suportado: ${operator}`);
+    }
+  }
+
+  // data ± dias (número inteiro); o resultado mantém o tipo: data ou datahora.
+  // dateOperands: qual operando é a data (ver registerDateOperation)
+  evaluateDateArithmetic(operator, left, right, dateOperands) {
+    if (left === null || left === undefined || right === null || right === undefined) {
+      return null;
+    }
+
+    const [date, days] = dateOperands.left ? [left, right] : [right, left];
+    if (!Number.isInteger(days)) {
+      throw this.dateArithmeticError(operator);
+    }
+
+    return addDays(date, operator === '-' ? -days : days, operator);
+  }
+
+  dateArithmeticError(operator) {
+    return new Error(`Operador '${operator}' não se aplica a datas: use data + dias ou data - dias ` +
+      '(número inteiro) e diferenca_dias(fim, inicio) para a diferença entre datas');
+  }
+
   evaluateLike(value, pattern) {
     if (typeof value !== 'string' || typeof pattern !== 'string') {
       return false;
@@ -251,36 +1019,53 @@ class QueryExecutor {
     return regex.test(value);
   }
 
-  applyProjection(resultSet, selectList) {
+  applyProjection(resultSet, selectList, keepSourceRows = false) {
     if (resultSet.length === 0) return resultSet;
 
+    const columnNames = this.getColumnNames(selectList);
     const projectedResults = [];
 
     for (const row of resultSet) {
       const projectedRow = {};
+      const layout = row[ROW_LAYOUT];
 
-      for (const columnExpr of selectList.columns) {
+      selectList.columns.forEach((columnExpr, i) => {
         if (columnExpr.expression.constructor.name === 'AllColumnsExpression') {
-          // SELECT *
-          if (columnExpr.expression.tableName) {
+          const tableName = columnExpr.expression.tableName;
+
+          if (!layout) {
+            // Linha sem fontes (ex: agregação sobre um conjunto vazio)
+            return;
+          }
+
+          if (tableName) {
             // SELECT tabela.*
-            const prefix = `${columnExpr.expression.tableName}.`;
-            for (const [key, value] of Object.entries(row)) {
-              if (key.startsWith(prefix)) {
-                const columnName = key.substring(prefix.length);
-                projectedRow[columnName] = value;
-              }
+            const source = layout.sources.find(candidate => candidate.name === tableName);
+            if (!source) {
+              throw new Error(`Tabela '${tableName}' não faz parte da consulta`);
+            }
+            for (const column of source.columns) {
+              projectedRow[column] = row[`${tableName}.${column}`];
             }
           } else {
             // SELECT *
-            Object.assign(projectedRow, row);
+            for (const [key, header] of layout.headers) {
+              projectedRow[header] = row[key];
+            }
           }
         } else {
           // Coluna específica
-          const value = this.evaluateExpression(columnExpr.expression, row);
-          const columnName = columnExpr.alias || this.getExpressionName(columnExpr.expression);
-          projectedRow[columnName] = value;
+          projectedRow[columnNames[i]] = this.evaluateExpression(columnExpr.expression, row);
         }
+      });
+
+      // Manter as linhas do grupo para que ORDER BY possa avaliar agregações
+      if (row[GROUP_ROWS]) {
+        Object.defineProperty(projectedRow, GROUP_ROWS, { value: row[GROUP_ROWS] });
+      }
+
+      if (keepSourceRows) {
+        Object.defineProperty(projectedRow, SOURCE_ROW, { value: row, configurable: true });
       }
 
       projectedResults.push(projectedRow);
@@ -289,41 +1074,162 @@ class QueryExecutor {
     return projectedResults;
   }
 
-  getExpressionName(expression) {
+  // Nome de cada coluna do resultado: colunas qualificadas sem alias que teriam o
+  // mesmo nome (u.nome, p.nome) mantêm o nome da tabela
+  getColumnNames(selectList) {
+    const names = selectList.columns.map(column =>
+      column.alias || (column.expression.constructor.name === 'AllColumnsExpression' ? null : this.getExpressionName(column.expression))
+    );
+
+    return selectList.columns.map((column, i) => {
+      const { expression } = column;
+      const isRepeated = names.filter(name => name === names[i]).length > 1;
+      return isRepeated && !column.alias && expression.constructor.name === 'IdentifierExpression' && expression.tableName
+        ? `${expression.tableName}.${expression.name}`
+        : names[i];
+    });
+  }
+
+  // qualified: inclui o nome da tabela nas colunas (usado pelo explicar)
+  getExpressionName(expression, qualified = false) {
     if (expression.constructor.name === 'IdentifierExpression') {
-      return expression.name;
+      return qualified && expression.tableName ? `${expression.tableName}.${expression.name}` : expression.name;
     } else if (expression.constructor.name === 'LiteralExpression') {
+      if (expression.type === 'NULL') return 'nulo';
+      if (expression.type === 'BOOLEAN') return expression.value ? 'verdadeiro' : 'falso';
       return String(expression.value);
+    } else if (expression.constructor.name === 'IsNullExpression') {
+      return `${this.getOperandName(expression.operand, qualified)} ${expression.negated ? 'não é nulo' : 'é nulo'}`;
+    } else if (expression.constructor.name === 'SubqueryExpression') {
+      return '(subconsulta)';
+    } else if (expression.constructor.name === 'ExistsExpression') {
+      return 'existe (subconsulta)';
+    } else if (expression.constructor.name === 'InExpression') {
+      const values = Array.isArray(expression.values)
+        ? expression.values.map(value => this.getOperandName(value, qualified)).join(', ')
+        : 'subconsulta';
+      return `${this.getOperandName(expression.operand, qualified)} ${expression.negated ? 'nao em' : 'em'} (${values})`;
+    } else if (expression.constructor.name === 'BetweenExpression') {
+      return `${this.getOperandName(expression.operand, qualified)} ${expression.negated ? 'nao entre' : 'entre'} ` +
+        `${this.getOperandName(expression.lower, qualified)} e ${this.getOperandName(expression.upper, qualified)}`;
+    } else if (expression.constructor.name === 'AggregateExpression') {
+      const argumentName = expression.argument.constructor.name === 'AllColumnsExpression'
+        ? '*'
+        : this.getExpressionName(expression.argument, qualified);
+      const distinct = expression.distinct ? 'distinto ' : '';
+      return `${expression.originalName}(${distinct}${argumentName})`;
+    } else if (expression.constructor.name === 'FunctionCallExpression') {
+      const args = expression.args.map(arg => (
+        arg.constructor.name === 'LiteralExpression' && ['STRING', 'DATE'].includes(arg.type)
+          ? `'${arg.value}'`
+          : this.getExpressionName(arg, qualified)
+      ));
+      return `${expression.name}(${args.join(', ')})`;
+    } else if (expression.constructor.name === 'BinaryExpression') {
+      return `${this.getOperandName(expression.left, qualified)} ${expression.operator} ${this.getOperandName(expression.right, qualified)}`;
+    } else if (expression.constructor.name === 'UnaryExpression') {
+      const separator = this.isNotOperator(expression.operator) ? ' ' : '';
+      return `${expression.operator}${separator}${this.getOperandName(expression.operand, qualified)}`;
     } else {
       return 'expressao';
     }
   }
 
-  applyOrderBy(resultSet, orderByClause) {
-    return resultSet.sort((a, b) => {
-      for (const orderExpr of orderByClause.expressions) {
-        const aValue = this.evaluateExpression(orderExpr.expression, a);
-        const bValue = this.evaluateExpression(orderExpr.expression, b);
+  getOperandName(expression, qualified = false) {
+    // Subexpressões compostas aparecem entre parênteses e textos entre aspas no nome da coluna
+    if (expression.constructor.name === 'LiteralExpression' && ['STRING', 'DATE'].includes(expression.type)) {
+      return `'${expression.value}'`;
+    }
 
-        let comparison = 0;
-        if (aValue < bValue) comparison = -1;
-        else if (aValue > bValue) comparison = 1;
+    const name = this.getExpressionName(expression, qualified);
+    const isCompound = [
+      'BinaryExpression', 'UnaryExpression', 'IsNullExpression', 'InExpression', 'BetweenExpression'
+    ].includes(expression.constructor.name);
+    return isCompound ? `(${name})` : name;
+  }
 
+  // As chaves de cada linha são calculadas uma única vez, antes de ordenar
+  applyOrderBy(resultSet, orderByClause) {
+    const keyedRows = resultSet.map(row => {
+      const scope = this.createSortScope(row);
+      const keys = orderByClause.expressions.map(orderExpr => this.evaluateExpression(orderExpr.expression, scope));
+      delete row[SOURCE_ROW];
+      return { row, keys };
+    });
+
+    keyedRows.sort((a, b) => {
+      for (let i = 0; i < orderByClause.expressions.length; i++) {
+        const comparison = this.compareSortValues(a.keys[i], b.keys[i]);
         if (comparison !== 0) {
-          return orderExpr.direction === 'DESC' ? -comparison : comparison;
+          return orderByClause.expressions[i].direction === 'DESC' ? -comparison : comparison;
         }
       }
       return 0;
     });
+
+    return keyedRows.map(({ row }) => row);
+  }
+
+  // Nulos ficam depois de qualquer valor: no fim em ordem crescente e no início em
+  // decrescente (como NULLS LAST / NULLS FIRST, o padrão do PostgreSQL)
+  compareSortValues(a, b) {
+    const aIsNull = a === null || a === undefined;
+    const bIsNull = b === null || b === undefined;
+    if (aIsNull || bIsNull) {
+      return aIsNull === bIsNull ? 0 : (aIsNull ? 1 : -1);
+    }
+
+    if (a < b) return -1;
+    if (a > b) return 1;
+    return 0;
+  }
+
+  // Linha em que as expressões do ORDER BY são avaliadas: as colunas projetadas (e
+  // seus aliases) têm prioridade sobre as colunas da linha de origem
+  createSortScope(row) {
+    const sourceRow = row[SOURCE_ROW];
+    if (!sourceRow) return row;
+
+    const scope = { ...sourceRow, ...row };
+    if (row[GROUP_ROWS]) {
+      Object.defineProperty(scope, GROUP_ROWS, { value: row[GROUP_ROWS] });
+    }
+    return scope;
+  }
+
+  // Mantém a primeira de cada conjunto de linhas projetadas com os mesmos valores;
+  // nulos são iguais entre si e números iguais a textos numéricos, como nas junções
+  applyDistinct(resultSet) {
+    const seen = new Set();
+
+    return resultSet.filter(row => {
+      const key = JSON.stringify(Object.values(row).map(value => this.hashKey(value)));
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+
+  applyLimit(resultSet, limitClause) {
+    const start = limitClause.offset || 0;
+    const end = limitClause.limit === null ? undefined : start + limitClause.limit;
+    return resultSet.slice(start, end);
   }
 
   applyGroupBy(resultSet, groupByClause) {
+    // Sem GROUP BY, todas as linhas formam um único grupo (mesmo se vazio)
+    if (!groupByClause) {
+      return [this.createGroupRow(resultSet)];
+    }
+
     const groups = new Map();
 
     for (const row of resultSet) {
-      const groupKey = groupByClause.expressions
-        .map(expr => this.evaluateExpression(expr, row))
-        .join('|');
+      const groupKey = JSON.stringify(
+        groupByClause.expressions.map(expr => this.evaluateExpression(expr, row))
+      );
 
       if (!groups.has(groupKey)) {
         groups.set(groupKey, []);
@@ -331,48 +1237,178 @@ class QueryExecutor {
       groups.get(groupKey).push(row);
     }
 
-    // Para simplicidade, retornar apenas o primeiro registro de cada grupo
-    // Em implementação completa, aqui processaríamos funções agregadas
-    return Array.from(groups.values()).map(group => group[0]);
+    return Array.from(groups.values()).map(group => this.createGroupRow(group));
   }
 
-  async executeInsert(ast) {
-  if (!this.currentDatabase) {
-    throw new Error('Nenhum banco selecionado');
+  applyHaving(resultSet, havingClause, selectList) {
+    const aliasedColumns = selectList.columns.filter(column => column.alias);
+
+    return resultSet.filter(row => {
+      // Permitir que a condição use os aliases definidos no SELECT (ex: tendo total > 2)
+      const havingRow = { ...row };
+      Object.defineProperty(havingRow, GROUP_ROWS, { value: row[GROUP_ROWS] });
+
+      for (const column of aliasedColumns) {
+        havingRow[column.alias] = this.evaluateExpression(column.expression, row);
+      }
+
+      return this.evaluateCondition(havingClause.condition, havingRow);
+    });
   }
 
-  const tableData = await this.storageManager.loadTable(
-    this.currentDatabase, 
-    ast.tableName
-  );
+  createGroupRow(rows) {
+    // Colunas do grupo vêm da primeira linha; as linhas originais ficam disponíveis para as agregações
+    const groupRow = { ...(rows[0] || {}) };
+    Object.defineProperty(groupRow, GROUP_ROWS, { value: rows });
+    return groupRow;
+  }
+
+  evaluateAggregate(expression, row) {
+    const rows = row[GROUP_ROWS];
+
+    if (!rows) {
+      throw new Error(`Função agregada '${expression.originalName}' não pode ser usada nesta cláusula`);
+    }
+
+    // count(*) conta linhas, inclusive as que têm valores nulos
+    if (expression.argument.constructor.name === 'AllColumnsExpression') {
+      return rows.length;
+    }
+
+    let values = rows
+      .map(groupRow => this.evaluateExpression(expression.argument, groupRow))
+      .filter(value => value !== null && value !== undefined);
+
+    if (expression.distinct) {
+      values = [...new Set(values)];
+    }
 
-  if (!tableData) {
-    throw new Error(`Tabela '${ast.tableName}' não encontrada`);
+    switch (expression.functionName) {
+      case 'COUNT':
+        return values.length;
+      case 'SUM':
+      case 'AVG': {
+        if (values.length === 0) return null;
+        const numbers = values.map(value => Number(value));
+        if (numbers.some(number => isNaN(number))) {
+          throw new Error(`Função '${expression.originalName}' requer valores numéricos`);
+        }
+        const total = numbers.reduce((sum, number) => sum + number, 0);
+        return expression.functionName === 'SUM' ? total : total / numbers.length;
+      }
+      case 'MIN':
+        return values.length === 0 ? null : values.reduce((min, value) => (value < min ? value : min));
+      case 'MAX':
+        return values.length === 0 ? null : values.reduce((max, value) => (value > max ? value : max));
+      default:
+        throw new Error(`Função agregada não suportada: ${expression.functionName}`);
+    }
   }
 
-  const newRecord = {};
-  const columns = ast.columns || Object.keys(tableData.colunas);
+  async executeInsert(ast) {
+    if (!this.currentDatabase) {
+      throw new Error('Nenhum banco selecionado');
+    }
 
-  // Preparar o registro básico
-  for (let i = 0; i < Math.min(ast.values.length, columns.length); i++) {
-    const columnName = columns[i];
-    const value = this.evaluateExpression(ast.values[i], {});
-    
-    // Verificar se coluna existe
-    if (!tableData.colunas[columnName]) {
-      throw new Error(`Coluna '${columnName}' não existe na tabela`);
+    const tableData = await this.storageManager.loadTable(
+      this.currentDatabase, 
+      ast.tableName
+    );
+
+    if (!tableData) {
+      throw new Error(`Tabela '${ast.tableName}' não encontrada`);
     }
-    
-    newRecord[columnName] = value;
+
+    const columns = ast.columns || Object.keys(tableData.colunas);
+
+    // Verificar se as colunas existem
+    for (const columnName of columns) {
+      if (!tableData.colunas[columnName]) {
+        throw new Error(`Coluna '${columnName}' não existe na tabela`);
+      }
+    }
+
+    // Uma lista de valores por registro: as expressões de 'valores' ou as linhas do SELECT
+    const rows = await this.withQueryTables(ast, query => {
+      if (!query.select) {
+        return query.rows.map((row, i) => {
+          if (row.length !== columns.length) {
+            const prefix = query.rows.length > 1 ? `Registro ${i + 1}: ` : '';
+            throw new Error(`${prefix}${row.length} valor(es) informado(s), mas o INSERT espera ${columns.length}`);
+          }
+          return row.map(expression => this.evaluateExpression(expression, {}));
+        });
+      }
+
+      return this.runSelect(query.select).map(projectedRow => {
+        const values = Object.values(projectedRow);
+        if (values.length !== columns.length) {
+          throw new Error(`O SELECT retorna ${values.length} coluna(s), mas o INSERT espera ${columns.length}`);
+        }
+        return values;
+      });
+    });
+
+    const records = rows.map(values => {
+      const newRecord = {};
+      columns.forEach((columnName, i) => {
+        newRecord[columnName] = values[i];
+      });
+      return newRecord;
+    });
+
+    if (!ast.onConflict) {
+      // Todos os registros são validados e gravados juntos
+      return await this.storageManager.insertRecords(
+        this.currentDatabase, 
+        ast.tableName, 
+        records
+      );
+    }
+
+    const { columns: conflictColumns, action, assignments } = ast.onConflict;
+    for (const columnName of [...(conflictColumns || []), ...assignments.map(assignment => assignment.column)]) {
+      if (!tableData.colunas[columnName]) {
+        throw new Error(`Coluna '${columnName}' não existe na tabela`);
+      }
+    }
+
+    // As atribuições são avaliadas pelo storage manager, a cada conflito; nelas, as colunas
+    // sem prefixo são as do registro existente e as de 'novo.' as do registro proposto
+    const summary = await this.withQueryTables(ast, query => this.storageManager.upsertRecords(
+      this.currentDatabase,
+      ast.tableName,
+      records,
+      {
+        columns: conflictColumns,
+        action,
+        getUpdates: (existing, proposed) => this.evaluateConflictAssignments(query, tableData, existing, proposed)
+      }
+    ), [[{ name: ast.tableName, tableData }], [{ name: PROPOSED_ROW, tableData }]]);
+
+    return {
+      sucesso: true,
+      mensagem: `✅ ${summary.inserted} registro(s) inserido(s), ${summary.updated} atualizado(s) e ` +
+        `${summary.ignored} ignorado(s) na tabela '${ast.tableName}'` +
+        this.describeReferentialSummary(summary)
+    };
   }
 
-  // Usar o storage manager que já valida constraints
-  return await this.storageManager.insertRecord(
-    this.currentDatabase, 
-    ast.tableName, 
-    newRecord
-  );
-}
+  // 'ao conflitar ... atualizar definir': as colunas sem prefixo (ou com o nome da tabela)
+  // são as do registro existente; as do registro proposto são lidas como 'novo.coluna'
+  evaluateConflictAssignments(ast, tableData, existing, proposed) {
+    const row = this.recordToRow(existing, this.createTableLayout(tableData, ast.tableName));
+    for (const columnName of Object.keys(tableData.colunas)) {
+      const value = proposed[columnName];
+      row[`${PROPOSED_ROW}.${columnName}`] = value === undefined ? null : value;
+    }
+
+    const newValues = {};
+    for (const assignment of ast.onConflict.assignments) {
+      newValues[assignment.column] = this.evaluateExpression(assignment.value, row);
+    }
+    return newValues;
+  }
 
   async executeUpdate(ast) {
     if (!this.currentDatabase) {
@@ -388,29 +1424,44 @@ class QueryExecutor {
       throw new Error(`Tabela '${ast.tableName}' não encontrada`);
     }
 
-    let updatedCount = 0;
+    for (const assignment of ast.assignments) {
+      if (!tableData.colunas[assignment.column]) {
+        throw new Error(`Coluna '${assignment.column}' não existe na tabela`);
+      }
+    }
 
-    for (const [regId, record] of Object.entries(tableData.registros || {})) {
-      let shouldUpdate = true;
+    const updates = {};
 
-      if (ast.whereClause) {
-        shouldUpdate = this.evaluateCondition(ast.whereClause.condition, record);
-      }
+    await this.withQueryTables(ast, query => {
+      const layout = this.createTableLayout(tableData, ast.tableName);
+
+      for (const [regId, record] of this.findCandidateRecords(query, tableData)) {
+        const row = this.recordToRow(record, layout);
+        let shouldUpdate = true;
 
-      if (shouldUpdate) {
-        for (const assignment of ast.assignments) {
-          const newValue = this.evaluateExpression(assignment.value, record);
-          record[assignment.column] = newValue;
+        if (query.whereClause) {
+          shouldUpdate = this.evaluateCondition(query.whereClause.condition, row);
+        }
+
+        if (shouldUpdate) {
+          // Todas as atribuições enxergam os valores anteriores do registro
+          const newValues = {};
+          for (const assignment of query.assignments) {
+            newValues[assignment.column] = this.evaluateExpression(assignment.value, row);
+          }
+          updates[regId] = newValues;
         }
-        updatedCount++;
       }
-    }
+    }, [[{ name: ast.tableName, tableData }]]);
 
-    await this.storageManager.saveTable(this.currentDatabase, ast.tableName, tableData);
+    // O storage manager valida constraints e aplica as ações referenciais
+    const summary = await this.storageManager.updateRecords(this.currentDatabase, ast.tableName, updates);
+    const updatedCount = Object.keys(updates).length;
 
     return {
       sucesso: true,
-      mensagem: `✅ ${updatedCount} registro(s) atualizado(s) na tabela '${ast.tableName}'`
+      mensagem: `✅ ${updatedCount} registro(s) atualizado(s) na tabela '${ast.tableName}'` +
+        this.describeReferentialSummary(summary)
     };
   }
 
@@ -428,32 +1479,54 @@ class QueryExecutor {
       throw new Error(`Tabela '${ast.tableName}' não encontrada`);
     }
 
-    let deletedCount = 0;
-    const remainingRecords = {};
+    const deletedIds = [];
 
-    for (const [regId, record] of Object.entries(tableData.registros || {})) {
-      let shouldDelete = true;
+    await this.withQueryTables(ast, query => {
+      const layout = this.createTableLayout(tableData, ast.tableName);
 
-      if (ast.whereClause) {
-        shouldDelete = this.evaluateCondition(ast.whereClause.condition, record);
-      }
+      for (const [regId, record] of this.findCandidateRecords(query, tableData)) {
+        let shouldDelete = true;
 
-      if (shouldDelete) {
-        deletedCount++;
-      } else {
-        remainingRecords[regId] = record;
+        if (query.whereClause) {
+          const row = this.recordToRow(record, layout);
+          shouldDelete = this.evaluateCondition(query.whereClause.condition, row);
+        }
+
+        if (shouldDelete) {
+          deletedIds.push(regId);
+        }
       }
-    }
+    }, [[{ name: ast.tableName, tableData }]]);
 
-    tableData.registros = remainingRecords;
-    await this.storageManager.saveTable(this.currentDatabase, ast.tableName, tableData);
+    // O storage manager aplica as ações referenciais (restringir, cascata, anular)
+    const summary = await this.storageManager.deleteRecords(this.currentDatabase, ast.tableName, deletedIds);
 
     return {
       sucesso: true,
-      mensagem: `✅ ${deletedCount} registro(s) removido(s) da tabela '${ast.tableName}'`
+      mensagem: `✅ ${summary.removed} registro(s) removido(s) da tabela '${ast.tableName}'` +
+        this.describeReferentialSummary(summary)
     };
   }
 
+  // [regId, registro] que podem satisfazer o WHERE de um UPDATE/DELETE
+  findCandidateRecords(ast, tableData) {
+    const access = ast.whereClause && this.planner.chooseIndex(
+      ast.tableName, tableData, ast.tableName, this.planner.splitConjuncts(ast.whereClause.condition)
+    );
+    const regIds = access && this.lookupIndex(ast.tableName, tableData, access);
+
+    return regIds
+      ? regIds.map(regId => [regId, tableData.registros[regId]])
+      : Object.entries(tableData.registros || {});
+  }
+
+  describeReferentialSummary(summary) {
+    const details = [];
+    if (summary.cascaded > 0) details.push(`${summary.cascaded} em cascata`);
+    if (summary.nullified > 0) details.push(`${summary.nullified} anulado(s)`);
+    return details.length > 0 ? ` (${details.join(', ')})` : '';
+  }
+
 async executeCreateTable(ast) {
   if (!this.currentDatabase) {
     throw new Error('Nenhum banco selecionado');
@@ -471,16 +1544,264 @@ async executeCreateTable(ast) {
     return await this.storageManager.createDatabase(ast.databaseName);
   }
 
-  validateType(value, expectedType) {
-    switch (expectedType.toLowerCase()) {
-      case 'numero':
-        return typeof value === 'number' && !isNaN(value);
-      case 'texto':
-        return typeof value === 'string';
-      case 'booleano':
-        return typeof value === 'boolean';
+  async executeDropTable(ast) {
+    if (!this.currentDatabase) {
+      throw new Error('Nenhum banco selecionado');
+    }
+
+    return await this.storageManager.dropTable(this.currentDatabase, ast.tableName);
+  }
+
+  async executeCreateIndex(ast) {
+    if (!this.currentDatabase) {
+      throw new Error('Nenhum banco selecionado');
+    }
+
+    return await this.storageManager.createIndex(
+      this.currentDatabase,
+      ast.indexName,
+      ast.tableName,
+      ast.columns,
+      ast.unique
+    );
+  }
+
+  async executeDropIndex(ast) {
+    if (!this.currentDatabase) {
+      throw new Error('Nenhum banco selecionado');
+    }
+
+    return await this.storageManager.dropIndex(this.currentDatabase, ast.indexName);
+  }
+
+  async executeDropDatabase(ast) {
+    const result = await this.storageManager.dropDatabase(ast.databaseName);
+
+    if (this.currentDatabase === ast.databaseName) {
+      this.currentDatabase = null;
+    }
+
+    return result;
+  }
+
+  async executeAlterTable(ast) {
+    if (!this.currentDatabase) {
+      throw new Error('Nenhum banco selecionado');
+    }
+
+    const { options } = ast;
+
+    switch (ast.action) {
+      case 'ADD_COLUMN':
+        return await this.storageManager.addColumn(this.currentDatabase, ast.tableName, options.column);
+      case 'DROP_COLUMN':
+        return await this.storageManager.dropColumn(this.currentDatabase, ast.tableName, options.columnName);
+      case 'RENAME_COLUMN':
+        return await this.storageManager.renameColumn(
+          this.currentDatabase, ast.tableName, options.columnName, options.newName
+        );
+      case 'RENAME_TABLE':
+        return await this.storageManager.renameTable(this.currentDatabase, ast.tableName, options.newName);
+      default:
+        throw new Error(`Alteração de tabela não suportada: ${ast.action}`);
+    }
+  }
+
+  async executeTransaction(ast) {
+    switch (ast.action) {
+      case 'BEGIN':
+        if (!this.currentDatabase) {
+          throw new Error('Nenhum banco selecionado');
+        }
+        await this.storageManager.beginTransaction(this.currentDatabase);
+        return {
+          sucesso: true,
+          mensagem: `🔒 Transação iniciada no banco '${this.currentDatabase}'`
+        };
+      case 'COMMIT':
+        await this.storageManager.commitTransaction();
+        return {
+          sucesso: true,
+          mensagem: '✅ Transação confirmada'
+        };
+      case 'ROLLBACK':
+        this.storageManager.rollbackTransaction();
+        return {
+          sucesso: true,
+          mensagem: '↩️ Transação desfeita'
+        };
+      default:
+        throw new Error(`Comando de transação não suportado: ${ast.action}`);
+    }
+  }
+
+  async executeShow(ast) {
+    if (ast.target === 'DATABASES') {
+      const resultados = [];
+
+      for (const databaseName of await this.storageManager.listDatabases()) {
+        const tables = await this.storageManager.listTables(databaseName);
+        resultados.push({ banco: databaseName, tabelas: tables.length });
+      }
+
+      return {
+        sucesso: true,
+        resultados,
+        mensagem: `🗄️ ${resultados.length} banco(s) encontrado(s)`
+      };
+    }
+
+    if (!this.currentDatabase) {
+      throw new Error('Nenhum banco selecionado');
+    }
+
+    const resultados = [];
+
+    for (const tableName of await this.storageManager.listTables(this.currentDatabase)) {
+      const tableData = await this.storageManager.loadTable(this.currentDatabase, tableName);
+      resultados.push({
+        tabela: tableName,
+        colunas: Object.keys(tableData.colunas || {}).length,
+        registros: Object.keys(tableData.registros || {}).length
+      });
+    }
+
+    return {
+      sucesso: true,
+      resultados,
+      mensagem: `📋 ${resultados.length} tabela(s) no banco '${this.currentDatabase}'`
+    };
+  }
+
+  async executeDescribeTable(ast) {
+    if (!this.currentDatabase) {
+      throw new Error('Nenhum banco selecionado');
+    }
+
+    const tableData = await this.storageManager.loadTable(this.currentDatabase, ast.tableName);
+
+    if (!tableData) {
+      throw new Error(`Tabela '${ast.tableName}' não encontrada`);
+    }
+
+    const validator = this.storageManager.constraintValidator;
+    const resultados = [];
+
+    for (const [columnName, columnDef] of Object.entries(tableData.colunas || {})) {
+      const constraints = validator.parseConstraints(columnDef['@constraints'] || '');
+      const defaultConstraint = constraints.find(c => c.startsWith('DEFAULT:'));
+      const restricoes = constraints.filter(c => !c.startsWith('DEFAULT:'));
+
+      // Constraints de tabela (FOREIGN_KEY, UNIQUE, PRIMARY_KEY) aparecem junto da coluna
+      for (const constraint of tableData.constraints || []) {
+        if (constraint.columnName !== columnName) continue;
+
+        if (constraint.type === 'FOREIGN_KEY') {
+          const { referencedTable, referencedColumn, onDelete, onUpdate } = constraint.options || {};
+          restricoes.push(
+            `FOREIGN_KEY → ${referencedTable}(${referencedColumn}) ` +
+            `[ao remover: ${onDelete || 'RESTRICT'}, ao atualizar: ${onUpdate || 'RESTRICT'}]`
+          );
+        } else if (!restricoes.includes(constraint.type)) {
+          restricoes.push(constraint.type);
+        }
+      }
+
+      for (const index of tableData.indices || []) {
+        if (index.colunas.includes(columnName)) {
+          restricoes.push(`${index.unico ? 'UNIQUE_INDEX' : 'INDEX'} ${index.nome}(${index.colunas.join(', ')})`);
+        }
+      }
+
+      resultados.push({
+        coluna: columnName,
+        tipo: columnDef['@tipo'],
+        restricoes: restricoes.join(', '),
+        padrao: defaultConstraint ? defaultConstraint.substring('DEFAULT:'.length) : null
+      });
+    }
+
+    return {
+      sucesso: true,
+      resultados,
+      mensagem: `📋 Tabela '${ast.tableName}': ${resultados.length} coluna(s)`
+    };
+  }
+
+  async executeExplain(ast) {
+    if (!this.currentDatabase) {
+      throw new Error('Nenhum banco selecionado');
+    }
+
+    const resultados = await this.withQueryTables(ast.statement, statement => {
+      const lines = [];
+      this.describePlan(this.getPlan(statement), '', '', lines);
+      return lines;
+    });
+
+    return {
+      sucesso: true,
+      resultados,
+      mensagem: `🧭 Plano de execução: ${resultados.length} etapa(s)`
+    };
+  }
+
+  // Uma linha por nó do plano, desenhando a árvore com os prefixos das linhas
+  describePlan(node, prefix, childPrefix, lines) {
+    lines.push({ plano: prefix + this.describePlanNode(node), linhas_estimadas: node.estimatedRows });
+
+    const children = node.input ? [node.input] : [node.left, node.right].filter(Boolean);
+    children.forEach((child, i) => {
+      const isLast = i === children.length - 1;
+      this.describePlan(child, `${childPrefix}${isLast ? '└─ ' : '├─ '}`, `${childPrefix}${isLast ? '   ' : '│  '}`, lines);
+    });
+  }
+
+  describePlanNode(node) {
+    const nameOf = expression => this.getExpressionName(expression, true);
+    const tableOf = () => (node.alias === node.table ? node.table : `${node.table} ${node.alias}`);
+
+    switch (node.type) {
+      case 'SeqScan':
+        return `Leitura sequencial de ${tableOf()}`;
+      case 'IndexScan':
+        return `Busca no índice ${node.access.definition.nome} de ${tableOf()}: ` +
+          node.access.conditions.map(nameOf).join(' e ');
+      case 'SubqueryScan':
+        return `Subconsulta ${node.alias}`;
+      case 'Filter':
+        return `Filtro: ${nameOf(node.condition)}`;
+      case 'HashJoin':
+        return `Junção hash (${node.joinType}): ${nameOf(node.condition)}`;
+      case 'MergeJoin':
+        return `Junção por intercalação (${node.joinType}): ${nameOf(node.condition)}`;
+      case 'NestedLoopJoin':
+        return `Junção por laço aninhado (${node.joinType})` + (node.condition ? `: ${nameOf(node.condition)}` : '');
+      case 'Aggregate':
+        return node.groupByClause
+          ? `Agrupamento por ${node.groupByClause.expressions.map(nameOf).join(', ')}`
+          : 'Agregação';
+      case 'Having':
+        return `Filtro de grupos: ${nameOf(node.havingClause.condition)}`;
+      case 'Project':
+        return 'Projeção: ' + node.selectList.columns.map(column => {
+          if (column.expression.constructor.name === 'AllColumnsExpression') {
+            return column.expression.tableName ? `${column.expression.tableName}.*` : '*';
+          }
+          return column.alias || nameOf(column.expression);
+        }).join(', ');
+      case 'Distinct':
+        return 'Remoção de linhas repetidas (distinto)';
+      case 'Sort':
+        return 'Ordenação por ' + node.orderByClause.expressions
+          .map(orderExpr => `${nameOf(orderExpr.expression)}${orderExpr.direction === 'DESC' ? ' decrescente' : ''}`)
+          .join(', ');
+      case 'Limit': {
+        const { limit, offset } = node.limitClause;
+        return `Limite: ${limit === null ? 'todos' : limit}` + (offset ? `, pular ${offset}` : '');
+      }
       default:
-        return true; // Tipo não reconhecido, aceitar
+        return node.type;
     }
   }
 }
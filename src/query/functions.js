@@ -0,0 +1,307 @@
+// src/query/functions.js
+// Funções escalares embutidas, usadas pelo executor em qualquer expressão
+// (SELECT, WHERE, ORDER BY, valores do INSERT e atribuições do UPDATE).
+// Cada função é registrada com o nome em português e os apelidos em inglês
+const { normalizarData, normalizarDataHora } = require('../util');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function toText(value) {
+  return String(value);
+}
+
+function isNumeric(value) {
+  if (typeof value === 'number') return !isNaN(value);
+  return typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value));
+}
+
+function toNumber(value, functionName) {
+  if (!isNumeric(value)) {
+    throw new Error(`Função '${functionName}' requer valores numéricos`);
+  }
+  return Number(value);
+}
+
+// Datas chegam como texto ISO (colunas data/datahora) e são lidas em UTC
+function toDate(value, functionName) {
+  const dateTime = normalizarDataHora(value);
+  if (!dateTime) {
+    throw new Error(`Função '${functionName}' requer uma data (AAAA-MM-DD ou AAAA-MM-DD HH:MM:SS)`);
+  }
+  return new Date(dateTime);
+}
+
+// O resultado das funções que deslocam datas mantém o tipo do valor: data sem hora continua sem hora
+function fromDate(date, original) {
+  const isDateOnly = typeof original === 'string' && /^\d{4}-\d{1,2}-\d{1,2}$/.test(original.trim());
+  return isDateOnly ? normalizarData(date) : normalizarDataHora(date);
+}
+
+function addDays(value, days, functionName) {
+  const date = toDate(value, functionName);
+  date.setUTCDate(date.getUTCDate() + Math.trunc(toNumber(days, functionName)));
+  return fromDate(date, value);
+}
+
+// names: nomes aceitos; minArgs/maxArgs: quantidade de argumentos (maxArgs null = sem limite);
+// acceptsNull: a função trata nulos (nas demais, qualquer argumento nulo resulta em nulo);
+// returnsDate: tipo do resultado quando é uma data ('data', 'datahora' ou 'argumento', o tipo
+// do primeiro argumento), que aceita data ± dias como as colunas data/datahora
+const FUNCTION_DEFINITIONS = [
+  // Texto
+  {
+    names: ['maiusculo', 'upper'],
+    minArgs: 1, maxArgs: 1,
+    apply: ([value]) => toText(value).toUpperCase()
+  },
+  {
+    names: ['minusculo', 'lower'],
+    minArgs: 1, maxArgs: 1,
+    apply: ([value]) => toText(value).toLowerCase()
+  },
+  {
+    names: ['tamanho', 'length'],
+    minArgs: 1, maxArgs: 1,
+    apply: ([value]) => toText(value).length
+  },
+  {
+    names: ['aparar', 'trim'],
+    minArgs: 1, maxArgs: 1,
+    apply: ([value]) => toText(value).trim()
+  },
+  {
+    // Nulos são ignorados: concatenar(nome, ' ', sobrenome) não some quando falta o sobrenome
+    names: ['concatenar', 'concat'],
+    minArgs: 1, maxArgs: null, acceptsNull: true,
+    apply: args => args.filter(value => value !== null && value !== undefined).map(toText).join('')
+  },
+  {
+    // Posições começam em 1
+    names: ['subtexto', 'substring'],
+    minArgs: 2, maxArgs: 3,
+    apply: ([value, start, length], name) => {
+      const text = toText(value);
+      const from = Math.max(toNumber(start, name) - 1, 0);
+      return length === undefined ? text.substring(from) : text.substr(from, Math.max(toNumber(length, name), 0));
+    }
+  },
+  {
+    names: ['substituir', 'replace'],
+    minArgs: 3, maxArgs: 3,
+    apply: ([value, search, replacement]) => toText(value).split(toText(search)).join(toText(replacement))
+  },
+  {
+    // Posição (a partir de 1) da primeira ocorrência, ou 0 se não houver
+    names: ['posicao', 'position'],
+    minArgs: 2, maxArgs: 2,
+    apply: ([value, search]) => toText(value).indexOf(toText(search)) + 1
+  },
+  {
+    names: ['repetir', 'repeat'],
+    minArgs: 2, maxArgs: 2,
+    apply: ([value, count], name) => toText(value).repeat(Math.max(Math.trunc(toNumber(count, name)), 0))
+  },
+
+  // Números
+  {
+    names: ['absoluto', 'abs'],
+    minArgs: 1, maxArgs: 1,
+    apply: ([value], name) => Math.abs(toNumber(value, name))
+  },
+  {
+    names: ['arredondar', 'round'],
+    minArgs: 1, maxArgs: 2,
+    apply: ([value, digits = 0], name) => {
+      const factor = 10 ** Math.trunc(toNumber(digits, name));
+      return Math.round(toNumber(value, name) * factor) / factor;
+    }
+  },
+  {
+    names: ['teto', 'ceil'],
+    minArgs: 1, maxArgs: 1,
+    apply: ([value], name) => Math.ceil(toNumber(value, name))
+  },
+  {
+    names: ['piso', 'floor'],
+    minArgs: 1, maxArgs: 1,
+    apply: ([value], name) => Math.floor(toNumber(value, name))
+  },
+  {
+    names: ['raiz', 'sqrt'],
+    minArgs: 1, maxArgs: 1,
+    apply: ([value], name) => {
+      const number = toNumber(value, name);
+      if (number < 0) {
+        throw new Error(`Função '${name}' não aceita números negativos`);
+      }
+      return Math.sqrt(number);
+    }
+  },
+  {
+    names: ['potencia', 'power'],
+    minArgs: 2, maxArgs: 2,
+    apply: ([base, exponent], name) => toNumber(base, name) ** toNumber(exponent, name)
+  },
+
+  // Nulos
+  {
+    // Primeiro argumento não nulo
+    names: ['coalescer', 'coalesce'],
+    minArgs: 1, maxArgs: null, acceptsNull: true,
+    apply: args => {
+      const value = args.find(arg => arg !== null && arg !== undefined);
+      return value === undefined ? null : value;
+    }
+  },
+  {
+    names: ['sefor_nulo', 'ifnull'],
+    minArgs: 2, maxArgs: 2, acceptsNull: true,
+    apply: ([value, fallback]) => (value === null || value === undefined ? fallback : value)
+  },
+
+  // Datas
+  {
+    names: ['agora', 'now'],
+    minArgs: 0, maxArgs: 0, returnsDate: 'datahora',
+    apply: () => normalizarDataHora(new Date())
+  },
+  {
+    names: ['hoje', 'today'],
+    minArgs: 0, maxArgs: 0, returnsDate: 'data',
+    apply: () => normalizarData(new Date())
+  },
+  {
+    names: ['ano', 'year'],
+    minArgs: 1, maxArgs: 1,
+    apply: ([value], name) => toDate(value, name).getUTCFullYear()
+  },
+  {
+    names: ['mes', 'month'],
+    minArgs: 1, maxArgs: 1,
+    apply: ([value], name) => toDate(value, name).getUTCMonth() + 1
+  },
+  {
+    names: ['dia', 'day'],
+    minArgs: 1, maxArgs: 1,
+    apply: ([value], name) => toDate(value, name).getUTCDate()
+  },
+  {
+    names: ['hora', 'hour'],
+    minArgs: 1, maxArgs: 1,
+    apply: ([value], name) => toDate(value, name).getUTCHours()
+  },
+  {
+    names: ['minuto', 'minute'],
+    minArgs: 1, maxArgs: 1,
+    apply: ([value], name) => toDate(value, name).getUTCMinutes()
+  },
+  {
+    // Dias de 'inicio' até 'fim', contando apenas as datas (a hora é ignorada)
+    names: ['diferenca_dias', 'datediff'],
+    minArgs: 2, maxArgs: 2,
+    apply: ([end, start], name) => {
+      const dayOf = value => Date.parse(normalizarData(toDate(value, name)));
+      return Math.round((dayOf(end) - dayOf(start)) / MS_PER_DAY);
+    }
+  },
+  {
+    names: ['adicionar_dias', 'add_days'],
+    minArgs: 2, maxArgs: 2, returnsDate: 'argumento',
+    apply: ([value, days], name) => addDays(value, days, name)
+  },
+  {
+    // 31/01 + 1 mês = último dia de fevereiro
+    names: ['adicionar_meses', 'add_months'],
+    minArgs: 2, maxArgs: 2, returnsDate: 'argumento',
+    apply: ([value, months], name) => {
+      const date = toDate(value, name);
+      const day = date.getUTCDate();
+      date.setUTCDate(1);
+      date.setUTCMonth(date.getUTCMonth() + Math.trunc(toNumber(months, name)));
+      const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+      date.setUTCDate(Math.min(day, lastDay));
+      return fromDate(date, value);
+    }
+  },
+
+  // Conversão
+  {
+    names: ['data', 'date'],
+    minArgs: 1, maxArgs: 1, returnsDate: 'data',
+    apply: ([value]) => {
+      const date = normalizarData(value);
+      if (!date) {
+        throw new Error(`Não foi possível converter '${value}' para data`);
+      }
+      return date;
+    }
+  },
+  {
+    names: ['datahora', 'datetime'],
+    minArgs: 1, maxArgs: 1, returnsDate: 'datahora',
+    apply: ([value]) => {
+      const dateTime = normalizarDataHora(value);
+      if (!dateTime) {
+        throw new Error(`Não foi possível converter '${value}' para data e hora`);
+      }
+      return dateTime;
+    }
+  },
+  {
+    names: ['texto', 'to_text'],
+    minArgs: 1, maxArgs: 1,
+    apply: ([value]) => toText(value)
+  },
+  {
+    names: ['numero', 'to_number'],
+    minArgs: 1, maxArgs: 1,
+    apply: ([value]) => {
+      if (!isNumeric(value)) {
+        throw new Error(`Não foi possível converter '${value}' para número`);
+      }
+      return Number(value);
+    }
+  },
+  {
+    names: ['inteiro', 'to_int'],
+    minArgs: 1, maxArgs: 1,
+    apply: ([value], name) => Math.trunc(toNumber(value, name))
+  }
+];
+
+// nome (português ou inglês) -> definição
+const SCALAR_FUNCTIONS = new Map();
+for (const definition of FUNCTION_DEFINITIONS) {
+  for (const name of definition.names) {
+    SCALAR_FUNCTIONS.set(name, definition);
+  }
+}
+
+// Verifica se a função existe e aceita argCount argumentos; retorna a definição
+function getScalarFunction(name, argCount) {
+  const definition = SCALAR_FUNCTIONS.get(name);
+  if (!definition) {
+    throw new Error(`Função desconhecida: ${name}`);
+  }
+
+  const { minArgs, maxArgs } = definition;
+  if (argCount < minArgs || (maxArgs !== null && argCount > maxArgs)) {
+    const expected = minArgs === maxArgs ? `${minArgs}` : maxArgs === null ? `ao menos ${minArgs}` : `de ${minArgs} a ${maxArgs}`;
+    throw new Error(`Função '${name}' espera ${expected} argumento(s), recebeu ${argCount}`);
+  }
+
+  return definition;
+}
+
+// args: valores já avaliados
+function callScalarFunction(name, args) {
+  const definition = getScalarFunction(name, args.length);
+
+  if (!definition.acceptsNull && args.some(value => value === null || value === undefined)) {
+    return null;
+  }
+
+  return definition.apply(args, name);
+}
+
+module.exports = { getScalarFunction, callScalarFunction, addDays };
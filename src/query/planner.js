@@ -0,0 +1,619 @@
+// src/query/planner.js
+// Monta o plano de execução de um SELECT: cada nó tem um tipo ('SeqScan',
+// 'IndexScan', 'SubqueryScan', 'Filter', 'HashJoin', 'MergeJoin', 'NestedLoopJoin',
+// 'Aggregate', 'Having', 'Project', 'Distinct', 'Sort', 'Limit'), o número de linhas estimado e,
+// quando conhecida, a coluna pela qual as linhas saem ordenadas (sortedBy).
+// O plano é executado pelo QueryExecutor
+const { BinaryExpression } = require('../parser/ast/nodes');
+
+// Fração das linhas que cada tipo de predicado costuma manter (sem estatísticas da coluna)
+const SELECTIVITY = {
+  equality: 0.1,
+  range: 0.3,
+  like: 0.25,
+  isNull: 0.1,
+  other: 0.5
+};
+
+class QueryPlanner {
+  constructor(storageManager) {
+    this.storageManager = storageManager;
+  }
+
+  // tables: tabelas do comando já carregadas (nome -> dados)
+  plan(ast, tables, databaseName) {
+    const sources = this.collectSources(ast, tables);
+    const topConditions = this.pushDownConditions(ast, sources);
+
+    let node = this.planScan(sources[0], tables, databaseName);
+
+    for (let i = 1; i < sources.length; i++) {
+      const source = sources[i];
+      node = this.planJoin(node, this.planScan(source, tables, databaseName), source, sources.slice(0, i + 1));
+    }
+
+    if (topConditions.length > 0) {
+      node = this.createFilter(node, topConditions);
+    }
+
+    if (ast.groupByClause || ast.havingClause || this.selectHasAggregates(ast)) {
+      node = {
+        type: 'Aggregate',
+        groupByClause: ast.groupByClause,
+        input: node,
+        estimatedRows: ast.groupByClause ? Math.ceil(node.estimatedRows * SELECTIVITY.equality) : 1
+      };
+    }
+
+    if (ast.havingClause) {
+      node = {
+        type: 'Having',
+        havingClause: ast.havingClause,
+        selectList: ast.selectList,
+        input: node,
+        estimatedRows: Math.ceil(node.estimatedRows * this.estimateSelectivity(ast.havingClause.condition))
+      };
+    }
+
+    // Com ORDER BY, a projeção mantém a linha de origem para que a ordenação alcance
+    // colunas que não foram selecionadas
+    node = {
+      type: 'Project',
+      selectList: ast.selectList,
+      keepSourceRows: Boolean(ast.orderByClause),
+      input: node,
+      estimatedRows: node.estimatedRows
+    };
+
+    if (ast.selectList.distinct) {
+      node = { type: 'Distinct', input: node, estimatedRows: node.estimatedRows };
+    }
+
+    if (ast.orderByClause) {
+      node = { type: 'Sort', orderByClause: ast.orderByClause, input: node, estimatedRows: node.estimatedRows };
+    }
+
+    if (ast.limitClause) {
+      const { limit, offset } = ast.limitClause;
+      const remaining = Math.max(node.estimatedRows - (offset || 0), 0);
+      node = {
+        type: 'Limit',
+        limitClause: ast.limitClause,
+        input: node,
+        estimatedRows: limit === null ? remaining : Math.min(remaining, limit)
+      };
+    }
+
+    return node;
+  }
+
+  // Uma fonte para a tabela (ou subconsulta) do FROM e uma para cada JOIN
+  collectSources(ast, tables) {
+    const { fromClause } = ast;
+    const sources = [{
+      name: fromClause.alias || fromClause.tableName,
+      tableName: fromClause.tableName,
+      tableData: fromClause.subquery ? null : tables.get(fromClause.tableName),
+      subquery: fromClause.subquery,
+      joinClause: null,
+      conditions: []
+    }];
+
+    for (const joinClause of ast.joinClauses) {
+      sources.push({
+        name: joinClause.alias || joinClause.tableName,
+        tableName: joinClause.tableName,
+        tableData: tables.get(joinClause.tableName),
+        subquery: null,
+        joinClause,
+        conditions: []
+      });
+    }
+
+    return sources;
+  }
+
+  // Distribui os predicados ligados por 'e': os que dependem de uma única fonte são
+  // aplicados ao ler essa fonte, os demais ficam na junção ou acima dela.
+  // Retorna os predicados do WHERE que não puderam descer
+  pushDownConditions(ast, sources) {
+    const topConditions = [];
+    const nullable = this.getNullableSources(sources);
+
+    if (ast.whereClause) {
+      for (const conjunct of this.splitConjuncts(ast.whereClause.condition)) {
+        const source = this.getSingleSource(conjunct, sources);
+        // Fontes completadas com nulos por uma junção externa não podem ser
+        // filtradas antes da junção: isso mudaria o resultado
+        if (source && !nullable.has(source)) {
+          source.conditions.push(conjunct);
+        } else {
+          topConditions.push(conjunct);
+        }
+      }
+    }
+
+    sources.forEach((source, i) => {
+      if (!source.joinClause) return;
+
+      source.joinConditions = [];
+      const onCondition = source.joinClause.onCondition;
+      for (const conjunct of onCondition ? this.splitConjuncts(onCondition) : []) {
+        const isInner = source.joinClause.joinType === 'INNER';
+        if (isInner && this.getSingleSource(conjunct, sources.slice(0, i + 1)) === source) {
+          source.conditions.push(conjunct);
+        } else {
+          source.joinConditions.push(conjunct);
+        }
+      }
+    });
+
+    return topConditions;
+  }
+
+  // LEFT completa com nulos a tabela do JOIN, RIGHT as tabelas anteriores e FULL ambas
+  getNullableSources(sources) {
+    const nullable = new Set();
+
+    sources.forEach((source, i) => {
+      const joinType = source.joinClause && source.joinClause.joinType;
+      if (joinType === 'LEFT' || joinType === 'FULL') {
+        nullable.add(source);
+      }
+      if (joinType === 'RIGHT' || joinType === 'FULL') {
+        sources.slice(0, i).forEach(previous => nullable.add(previous));
+      }
+    });
+
+    return nullable;
+  }
+
+  // Fonte da qual o predicado depende, ou null se depender de várias, de nenhuma
+  // ou não puder ser analisado
+  getSingleSource(expression, scope) {
+    const references = this.getReferencedSources(expression, scope);
+    return references && references.size === 1 ? [...references][0] : null;
+  }
+
+  // Fontes referenciadas pela expressão (colunas de consultas externas são ignoradas),
+  // ou null quando não é possível determiná-las: alias repetido, tabela derivada, subconsulta ou agregação
+  getReferencedSources(expression, scope) {
+    const references = new Set();
+    return this.collectReferences(expression, scope, references) ? references : null;
+  }
+
+  collectReferences(node, scope, references) {
+    if (!node || typeof node !== 'object') return true;
+
+    if (Array.isArray(node)) {
+      return node.every(item => this.collectReferences(item, scope, references));
+    }
+
+    switch (node.constructor.name) {
+      case 'SubqueryExpression':
+      case 'ExistsExpression':
+      case 'AggregateExpression':
+        return false;
+      case 'IdentifierExpression': {
+        const owner = this.findColumnSource(node, scope);
+        if (owner === undefined) return false;
+        if (owner) references.add(owner);
+        return true;
+      }
+    }
+
+    return Object.values(node).every(child => this.collectReferences(child, scope, references));
+  }
+
+  // Fonte dona da coluna; null se a coluna for de uma consulta externa e
+  // undefined se não for possível saber (alias repetido ou tabela derivada).
+  // Uma coluna sem prefixo presente em mais de uma tabela é um erro
+  findColumnSource(identifier, scope) {
+    if (identifier.tableName) {
+      const matches = scope.filter(source => source.name === identifier.tableName);
+      return matches.length > 1 ? undefined : matches[0] || null;
+    }
+
+    // As colunas de uma tabela derivada só são conhecidas depois de executá-la
+    if (scope.some(source => source.subquery)) {
+      return undefined;
+    }
+
+    const matches = scope.filter(source => source.tableData.colunas && source.tableData.colunas[identifier.name]);
+    if (matches.length > 1) {
+      throw this.ambiguousColumnError(identifier.name, matches.map(source => source.name));
+    }
+    return matches[0] || null;
+  }
+
+  ambiguousColumnError(column, sourceNames) {
+    const options = sourceNames.map(name => `${name}.${column}`).join(' ou ');
+    return new Error(`Coluna '${column}' é ambígua: use ${options}`);
+  }
+
+  planScan(source, tables, databaseName) {
+    let node;
+    let remaining = source.conditions;
+
+    if (source.subquery) {
+      const input = this.plan(source.subquery, tables, databaseName);
+      node = { type: 'SubqueryScan', alias: source.name, select: source.subquery, input, estimatedRows: input.estimatedRows };
+    } else {
+      const access = this.chooseIndex(source.tableName, source.tableData, source.name, source.conditions);
+      const totalRows = Object.keys(source.tableData.registros || {}).length;
+
+      if (access) {
+        remaining = source.conditions.filter(condition => !access.conditions.includes(condition));
+        node = {
+          type: 'IndexScan',
+          table: source.tableName,
+          alias: source.name,
+          access,
+          sortedBy: this.getIndexOrder(source, access),
+          estimatedRows: this.estimateIndexRows(databaseName, source, access, totalRows)
+        };
+      } else {
+        node = { type: 'SeqScan', table: source.tableName, alias: source.name, estimatedRows: totalRows };
+      }
+    }
+
+    return remaining.length > 0 ? this.createFilter(node, remaining) : node;
+  }
+
+  planJoin(left, right, source, scope) {
+    const { joinType } = source.joinClause;
+    const conditions = source.joinConditions;
+    const condition = this.combineConjuncts(conditions);
+    const hashKeys = this.findHashKeys(conditions, source, scope);
+
+    const node = {
+      joinType,
+      // Fontes de cada lado, para completar com nulos as colunas do lado sem par
+      leftSources: scope.slice(0, -1).map(previous => this.describeSource(previous)),
+      rightSources: [this.describeSource(source)],
+      condition,
+      left,
+      right,
+      // As linhas saem na ordem da esquerda, seguidas (RIGHT/FULL) das linhas da direita sem par
+      sortedBy: joinType === 'RIGHT' || joinType === 'FULL' ? null : left.sortedBy
+    };
+
+    let matched;
+    if (hashKeys) {
+      node.type = this.isSortedByKeys(left, right, hashKeys, scope) ? 'MergeJoin' : 'HashJoin';
+      node.leftKey = hashKeys.leftKey;
+      node.rightKey = hashKeys.rightKey;
+      // Junções por igualdade costumam seguir uma chave estrangeira: cada linha
+      // do lado maior encontra no máximo um par
+      matched = Math.max(left.estimatedRows, right.estimatedRows);
+    } else {
+      node.type = 'NestedLoopJoin';
+      matched = Math.ceil(
+        left.estimatedRows * right.estimatedRows * (condition ? this.estimateSelectivity(condition) : 1)
+      );
+    }
+
+    // Junções externas mantêm ao menos todas as linhas do lado preservado
+    const preserved = [matched];
+    if (joinType === 'LEFT' || joinType === 'FULL') preserved.push(left.estimatedRows);
+    if (joinType === 'RIGHT' || joinType === 'FULL') preserved.push(right.estimatedRows);
+    node.estimatedRows = Math.max(...preserved);
+
+    return node;
+  }
+
+  // { name, table, subquery }: table é null e subquery é o SELECT nas tabelas derivadas
+  describeSource(source) {
+    return { name: source.name, table: source.subquery ? null : source.tableName, subquery: source.subquery };
+  }
+
+  // A junção por intercalação exige as duas entradas ordenadas pelas colunas da
+  // igualdade, e colunas do mesmo tipo (textos e números não se ordenam juntos)
+  isSortedByKeys(left, right, hashKeys, scope) {
+    const leftType = this.getSortedKeyType(left, hashKeys.leftKey, scope);
+    return leftType !== null && leftType === this.getSortedKeyType(right, hashKeys.rightKey, scope);
+  }
+
+  // Tipo da coluna usada como chave, se a entrada estiver ordenada por ela; senão null
+  getSortedKeyType(node, key, scope) {
+    if (!node.sortedBy || key.constructor.name !== 'IdentifierExpression') return null;
+
+    const source = this.findColumnSource(key, scope);
+    if (!source || source.name !== node.sortedBy.source || key.name !== node.sortedBy.column) return null;
+
+    const column = source.tableData.colunas[key.name];
+    return column ? this.storageManager.constraintValidator.parseColumnType(column['@tipo']).baseType : null;
+  }
+
+  // Uma busca por intervalo percorre as chaves do índice em ordem crescente, e uma
+  // busca por uma única chave retorna registros com o mesmo valor
+  getIndexOrder(source, access) {
+    const { colunas } = access.definition;
+    if (colunas.length !== 1 || (access.kind !== 'range' && access.keys.length !== 1)) {
+      return null;
+    }
+    return { source: source.name, column: colunas[0] };
+  }
+
+  // Igualdade 'esquerda = direita' em que um lado depende só das tabelas já
+  // juntadas e o outro só da tabela do JOIN
+  findHashKeys(conditions, source, scope) {
+    for (const condition of conditions) {
+      if (condition.constructor.name !== 'BinaryExpression' || condition.operator !== '=') continue;
+
+      const leftSources = this.getReferencedSources(condition.left, scope);
+      const rightSources = this.getReferencedSources(condition.right, scope);
+      if (!leftSources || !rightSources || leftSources.size === 0 || rightSources.size === 0) continue;
+
+      const isOnlyJoined = sources => !sources.has(source);
+      const isOnlySource = sources => sources.size === 1 && sources.has(source);
+
+      if (isOnlyJoined(leftSources) && isOnlySource(rightSources)) {
+        return { leftKey: condition.left, rightKey: condition.right };
+      }
+      if (isOnlySource(leftSources) && isOnlyJoined(rightSources)) {
+        return { leftKey: condition.right, rightKey: condition.left };
+      }
+    }
+
+    return null;
+  }
+
+  createFilter(input, conditions) {
+    const condition = this.combineConjuncts(conditions);
+    return {
+      type: 'Filter',
+      condition,
+      input,
+      sortedBy: input.sortedBy,
+      estimatedRows: Math.ceil(input.estimatedRows * this.estimateSelectivity(condition))
+    };
+  }
+
+  splitConjuncts(condition) {
+    if (condition.constructor.name === 'BinaryExpression' && ['e', 'and'].includes(condition.operator)) {
+      return [...this.splitConjuncts(condition.left), ...this.splitConjuncts(condition.right)];
+    }
+    return [condition];
+  }
+
+  combineConjuncts(conditions) {
+    if (conditions.length === 0) return null;
+    return conditions.reduce((combined, condition) => new BinaryExpression(combined, 'e', condition));
+  }
+
+  // Escolhe um índice da tabela para um dos predicados (igualdade, 'em', 'entre'
+  // ou comparação com um literal). Retorna { definition, kind, keys | limites,
+  // conditions } com os predicados resolvidos pelo índice, ou null
+  chooseIndex(tableName, tableData, effectiveName, conditions) {
+    const predicates = conditions
+      .map(condition => {
+        const predicate = this.getIndexablePredicate(condition, tableData, effectiveName);
+        return predicate && { ...predicate, condition };
+      })
+      .filter(Boolean);
+
+    if (predicates.length === 0) {
+      return null;
+    }
+
+    const definitions = this.storageManager.getIndexDefinitions(tableData);
+    const equalities = new Map();
+    for (const predicate of predicates) {
+      if (predicate.kind === 'eq' && !equalities.has(predicate.column)) {
+        equalities.set(predicate.column, predicate);
+      }
+    }
+
+    // 1. Índice composto com igualdade em todas as colunas
+    for (const definition of definitions) {
+      if (definition.colunas.length > 1 && definition.colunas.every(column => equalities.has(column))) {
+        const used = definition.colunas.map(column => equalities.get(column));
+        return {
+          definition,
+          kind: 'eq',
+          keys: [used.map(predicate => predicate.value)],
+          conditions: used.map(predicate => predicate.condition)
+        };
+      }
+    }
+
+    // 2. Igualdade, 3. lista ('em') e 4. intervalo em uma coluna indexada
+    for (const kind of ['eq', 'in', 'range']) {
+      for (const predicate of predicates.filter(candidate => candidate.kind === kind)) {
+        const definition = definitions.find(index =>
+          index.colunas.length === 1 && index.colunas[0] === predicate.column
+        );
+        if (!definition) continue;
+
+        const access = { definition, kind, conditions: [predicate.condition] };
+        if (kind === 'eq') {
+          access.keys = [[predicate.value]];
+        } else if (kind === 'in') {
+          access.keys = predicate.values.map(value => [value]);
+        } else {
+          Object.assign(access, {
+            lower: predicate.lower,
+            upper: predicate.upper,
+            lowerInclusive: predicate.lowerInclusive,
+            upperInclusive: predicate.upperInclusive
+          });
+        }
+        return access;
+      }
+    }
+
+    return null;
+  }
+
+  // { column, kind: 'eq' | 'in' | 'range', ... } para 'coluna <op> literal', ou null
+  getIndexablePredicate(condition, tableData, effectiveName) {
+    const columnOf = expression => {
+      if (expression.constructor.name !== 'IdentifierExpression') return null;
+      if (expression.tableName && expression.tableName !== effectiveName) return null;
+      return tableData.colunas[expression.name] ? expression.name : null;
+    };
+
+    // O índice guarda os valores já convertidos para o tipo da coluna
+    const literalFor = (column, expression) => {
+      if (expression.constructor.name !== 'LiteralExpression' || expression.value === null) return undefined;
+      const baseType = this.storageManager.constraintValidator.parseColumnType(tableData.colunas[column]['@tipo']).baseType;
+      const expectedType = {
+        numero: 'number', texto: 'string', uuid: 'string', booleano: 'boolean', data: 'string', datahora: 'string'
+      }[baseType];
+      return typeof expression.value === expectedType ? expression.value : undefined;
+    };
+
+    switch (condition.constructor.name) {
+      case 'BinaryExpression': {
+        const flipped = { '=': '=', '<': '>', '>': '<', '<=': '>=', '>=': '<=' };
+        if (!(condition.operator in flipped)) return null;
+
+        let column = columnOf(condition.left);
+        let operator = condition.operator;
+        let literal = condition.right;
+        if (!column) {
+          column = columnOf(condition.right);
+          operator = flipped[operator];
+          literal = condition.left;
+        }
+
+        const value = column && literalFor(column, literal);
+        if (value === undefined || value === null) return null;
+
+        if (operator === '=') {
+          return { column, kind: 'eq', value };
+        }
+        const isLower = operator === '>' || operator === '>=';
+        return {
+          column,
+          kind: 'range',
+          lower: isLower ? value : null,
+          upper: isLower ? null : value,
+          lowerInclusive: operator === '>=',
+          upperInclusive: operator === '<='
+        };
+      }
+
+      case 'InExpression': {
+        const column = !condition.negated && Array.isArray(condition.values) && columnOf(condition.operand);
+        if (!column) return null;
+        const values = condition.values.map(value => literalFor(column, value));
+        return values.includes(undefined) ? null : { column, kind: 'in', values };
+      }
+
+      case 'BetweenExpression': {
+        const column = !condition.negated && columnOf(condition.operand);
+        if (!column) return null;
+        const lower = literalFor(column, condition.lower);
+        const upper = literalFor(column, condition.upper);
+        if (lower === undefined || upper === undefined) return null;
+        return { column, kind: 'range', lower, upper, lowerInclusive: true, upperInclusive: true };
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  // Em um índice único cada chave tem um registro; nos demais, a média de registros por chave
+  estimateIndexRows(databaseName, source, access, totalRows) {
+    if (access.kind === 'range') {
+      return Math.ceil(totalRows * SELECTIVITY.range);
+    }
+
+    let rowsPerKey = 1;
+    if (!access.definition.unico) {
+      const index = this.storageManager.getTableIndex(
+        databaseName, source.tableName, source.tableData, access.definition.colunas
+      );
+      const keyCount = index.keyCount();
+      rowsPerKey = keyCount === 0 ? 0 : totalRows / keyCount;
+    }
+
+    return Math.min(totalRows, Math.ceil(access.keys.length * rowsPerKey));
+  }
+
+  estimateSelectivity(condition) {
+    switch (condition.constructor.name) {
+      case 'BinaryExpression':
+        switch (condition.operator) {
+          case 'e':
+          case 'and':
+            return this.estimateSelectivity(condition.left) * this.estimateSelectivity(condition.right);
+          case 'ou':
+          case 'or': {
+            const left = this.estimateSelectivity(condition.left);
+            const right = this.estimateSelectivity(condition.right);
+            return left + right - left * right;
+          }
+          case '=':
+            return SELECTIVITY.equality;
+          case '!=':
+            return 1 - SELECTIVITY.equality;
+          case '<':
+          case '>':
+          case '<=':
+          case '>=':
+            return SELECTIVITY.range;
+          case 'como':
+          case 'like':
+            return SELECTIVITY.like;
+          default:
+            return SELECTIVITY.other;
+        }
+      case 'UnaryExpression':
+        return ['nao', 'não', 'not'].includes(condition.operator)
+          ? 1 - this.estimateSelectivity(condition.operand)
+          : SELECTIVITY.other;
+      case 'InExpression': {
+        const selectivity = Array.isArray(condition.values)
+          ? Math.min(1, condition.values.length * SELECTIVITY.equality)
+          : SELECTIVITY.other;
+        return condition.negated ? 1 - selectivity : selectivity;
+      }
+      case 'BetweenExpression':
+        return condition.negated ? 1 - SELECTIVITY.range : SELECTIVITY.range;
+      case 'IsNullExpression':
+        return condition.negated ? 1 - SELECTIVITY.isNull : SELECTIVITY.isNull;
+      default:
+        return SELECTIVITY.other;
+    }
+  }
+
+  selectHasAggregates(ast) {
+    const expressions = ast.selectList.columns.map(column => column.expression);
+
+    if (ast.orderByClause) {
+      expressions.push(...ast.orderByClause.expressions.map(orderExpr => orderExpr.expression));
+    }
+
+    return expressions.some(expression => this.containsAggregate(expression));
+  }
+
+  containsAggregate(expression) {
+    if (!expression) return false;
+
+    switch (expression.constructor.name) {
+      case 'AggregateExpression':
+        return true;
+      case 'BinaryExpression':
+        return this.containsAggregate(expression.left) || this.containsAggregate(expression.right);
+      case 'UnaryExpression':
+      case 'IsNullExpression':
+        return this.containsAggregate(expression.operand);
+      case 'InExpression':
+        // Agregações dentro de uma subconsulta pertencem à subconsulta
+        return this.containsAggregate(expression.operand) ||
+          (Array.isArray(expression.values) && expression.values.some(value => this.containsAggregate(value)));
+      case 'BetweenExpression':
+        return [expression.operand, expression.lower, expression.upper].some(part => this.containsAggregate(part));
+      case 'FunctionCallExpression':
+        return expression.args.some(arg => this.containsAggregate(arg));
+      default:
+        return false;
+    }
+  }
+}
+
+module.exports = { QueryPlanner };
@@ -0,0 +1,181 @@
+// src/storage/index.js
+// Índices secundários. Apenas a definição de cada índice ({ nome, colunas, unico })
+// é gravada no XML da tabela; as entradas ficam em memória, associadas à versão
+// do banco a partir da qual foram construídas
+
+class TableIndex {
+  constructor(definition) {
+    this.name = definition.nome;
+    this.columns = definition.colunas;
+    this.unique = Boolean(definition.unico);
+    this.entries = new Map(); // chave -> Set de regIds
+    this.sortedKeys = null; // chaves ordenadas para consultas por intervalo (calculadas sob demanda)
+  }
+
+  // Índice de uma coluna usa o próprio valor como chave; índices compostos usam
+  // a lista de valores serializada. Nulos não são indexados (nulo nunca é igual a nada)
+  keyFor(values) {
+    if (values.some(value => value === null || value === undefined)) {
+      return null;
+    }
+    return this.columns.length === 1 ? values[0] : JSON.stringify(values);
+  }
+
+  recordKey(record) {
+    return this.keyFor(this.columns.map(column => record[column]));
+  }
+
+  build(registros) {
+    this.entries.clear();
+    this.sortedKeys = null;
+
+    for (const [regId, record] of Object.entries(registros)) {
+      this.add(regId, record);
+    }
+    return this;
+  }
+
+  add(regId, record) {
+    const key = this.recordKey(record);
+    if (key === null) return;
+
+    if (!this.entries.has(key)) {
+      this.entries.set(key, new Set());
+      this.sortedKeys = null;
+    }
+    this.entries.get(key).add(regId);
+  }
+
+  remove(regId, record) {
+    const key = this.recordKey(record);
+    const regIds = key === null ? null : this.entries.get(key);
+    if (!regIds) return;
+
+    regIds.delete(regId);
+    if (regIds.size === 0) {
+      this.entries.delete(key);
+      this.sortedKeys = null;
+    }
+  }
+
+  // values: um valor para cada coluna do índice
+  find(values) {
+    const key = this.keyFor(values);
+    const regIds = key === null ? null : this.entries.get(key);
+    return regIds ? Array.from(regIds) : [];
+  }
+
+  // Apenas para índices de uma coluna; limites nulos significam intervalo aberto
+  findRange(lower, upper, lowerInclusive = true, upperInclusive = true) {
+    const keys = this.getSortedKeys();
+    let start = 0;
+
+    if (lower !== null) {
+      start = this.lowerBound(keys, lower);
+      if (!lowerInclusive && start < keys.length && keys[start] === lower) {
+        start++;
+      }
+    }
+
+    const regIds = [];
+    for (let i = start; i < keys.length; i++) {
+      const key = keys[i];
+      if (upper !== null && (key > upper || (!upperInclusive && key === upper))) {
+        break;
+      }
+      regIds.push(...this.entries.get(key));
+    }
+    return regIds;
+  }
+
+  // Número de chaves distintas (usado pelo planejador para estimar linhas)
+  keyCount() {
+    return this.entries.size;
+  }
+
+  getSortedKeys() {
+    if (!this.sortedKeys) {
+      this.sortedKeys = Array.from(this.entries.keys()).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    }
+    return this.sortedKeys;
+  }
+
+  // Posição da primeira chave >= value (busca binária)
+  lowerBound(keys, value) {
+    let low = 0;
+    let high = keys.length;
+
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (keys[middle] < value) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+}
+
+class IndexManager {
+  constructor() {
+    // 'banco/tabela/indice' -> { version, index }
+    this.cache = new Map();
+  }
+
+  cacheKey(databaseName, tableName, indexName) {
+    return `${databaseName}/${tableName}/${indexName}`;
+  }
+
+  // version é a versão do banco de onde tableData foi lido; sem versão (dados
+  // ainda não gravados, como dentro de uma transação) o índice não fica em cache
+  getIndex(databaseName, tableName, tableData, definition, version) {
+    const key = this.cacheKey(databaseName, tableName, definition.nome);
+    const cached = this.cache.get(key);
+
+    if (cached && version !== null && cached.version === version) {
+      return cached.index;
+    }
+
+    const index = new TableIndex(definition).build(tableData.registros || {});
+    if (version !== null) {
+      this.cache.set(key, { version, index });
+    }
+    return index;
+  }
+
+  // Aplica aos índices em cache uma gravação que alterou apenas a tabela informada.
+  // changes: [{ regId, before, after }] (before/after nulos para inserção/remoção)
+  applyChanges(databaseName, tableName, fromVersion, toVersion, changes) {
+    const databasePrefix = `${databaseName}/`;
+    const tablePrefix = `${databaseName}/${tableName}/`;
+
+    for (const [key, entry] of this.cache) {
+      if (!key.startsWith(databasePrefix)) continue;
+
+      // Índice construído a partir de outra versão: descartar e reconstruir quando for usado
+      if (entry.version !== fromVersion) {
+        this.cache.delete(key);
+        continue;
+      }
+
+      if (key.startsWith(tablePrefix)) {
+        for (const { regId, before, after } of changes) {
+          if (before) entry.index.remove(regId, before);
+          if (after) entry.index.add(regId, after);
+        }
+      }
+      entry.version = toVersion;
+    }
+  }
+
+  invalidate(databaseName) {
+    for (const key of this.cache.keys()) {
+      if (key.startsWith(`${databaseName}/`)) {
+        this.cache.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = { TableIndex, IndexManager };
@@ -0,0 +1,75 @@
+// src/storage/journal.js
+const path = require('path');
+const {
+  lerArquivo,
+  acrescentarArquivo,
+  removerArquivo,
+  arquivoExiste,
+  listarArquivos
+} = require('../util');
+
+/**
+ * Journal (write-ahead log) dos bancos de dados.
+ *
+ * Antes de regravar dados/<banco>.xml, o novo conteúdo completo é acrescentado
+ * a dados/<banco>.journal (uma entrada JSON por linha). Depois que o arquivo
+ * principal é gravado com sucesso, o journal é descartado (checkpoint).
+ * Se o processo for interrompido no meio, a entrada confirmada continua no
+ * journal e é reaplicada na próxima leitura do banco.
+ */
+class Journal {
+  constructor(directory = 'dados') {
+    this.directory = directory;
+  }
+
+  getPath(databaseName) {
+    return path.join(this.directory, `${databaseName}.journal`);
+  }
+
+  async exists(databaseName) {
+    return await arquivoExiste(this.getPath(databaseName));
+  }
+
+  async append(databaseName, entry) {
+    await acrescentarArquivo(this.getPath(databaseName), JSON.stringify(entry) + '\n');
+  }
+
+  // Retorna as entradas completas; uma última linha truncada (gravação
+  // interrompida) nunca foi confirmada e é ignorada
+  async read(databaseName) {
+    if (!await this.exists(databaseName)) {
+      return [];
+    }
+
+    const content = await lerArquivo(this.getPath(databaseName));
+    const entries = [];
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        break;
+      }
+    }
+
+    return entries;
+  }
+
+  async clear(databaseName) {
+    if (await this.exists(databaseName)) {
+      await removerArquivo(this.getPath(databaseName));
+    }
+  }
+
+  async listDatabases() {
+    const files = await listarArquivos(this.directory);
+
+    return files
+      .filter(file => path.extname(file) === '.journal')
+      .map(file => path.basename(file, '.journal'));
+  }
+}
+
+module.exports = { Journal };
@@ -1,7 +1,18 @@
 // src/storage/manager.js (atualizações)
-const { XMLParser, XMLBuilder } = require('fast-xml-parser');
-const { lerArquivo, escreverArquivo, arquivoExiste, inicializarDiretorio } = require('../util');
+const { XMLParser, XMLBuilder, XMLValidator } = require('fast-xml-parser');
+const {
+  lerArquivo,
+  escreverArquivo,
+  removerArquivo,
+  listarArquivos,
+  arquivoExiste,
+  inicializarDiretorio,
+  validarTipo
+} = require('../util');
 const { ConstraintValidator } = require('../constraints/validator');
+const { ReferentialIntegrity } = require('../constraints/referential');
+const { Journal } = require('./journal');
+const { TableIndex, IndexManager } = require('./index');
 const path = require('path');
 
 const parserOptions = {
@@ -9,6 +20,9 @@ const parserOptions = {
   attributeNamePrefix: '@',
   textNodeName: '#text',
   parseAttributeValue: true,
+  // Valores dos registros são convertidos pelo tipo da coluna (normalizeDatabase):
+  // um texto "007" não pode virar o número 7
+  parseTagValue: false,
   parseTrueNumberOnly: false,
   arrayMode: false
 };
@@ -27,10 +41,76 @@ class StorageManager {
     this.parser = new XMLParser(parserOptions);
     this.builder = new XMLBuilder(builderOptions);
     this.constraintValidator = new ConstraintValidator(this);
+    this.referentialIntegrity = new ReferentialIntegrity(this);
+    this.journal = new Journal('dados');
+    this.indexManager = new IndexManager();
+    // Versão do banco de onde cada tabela carregada foi lida (permite reaproveitar índices)
+    this.tableVersions = new WeakMap();
+    // Transação ativa: { databaseName, xmlContent, operations } com o estado ainda não persistido
+    this.transaction = null;
   }
 
+  // Retorna a lista de recuperações feitas a partir do journal
   async initialize() {
     await inicializarDiretorio();
+    return await this.recoverAll();
+  }
+
+  async recoverAll() {
+    const databaseNames = new Set([
+      ...await this.listDatabases(),
+      ...await this.journal.listDatabases()
+    ]);
+    const recoveries = [];
+
+    for (const databaseName of databaseNames) {
+      const recovery = await this.recoverDatabase(databaseName);
+      if (recovery) {
+        recoveries.push(recovery);
+      }
+    }
+
+    return recoveries;
+  }
+
+  // Reaplica as entradas do journal mais novas que o arquivo principal
+  // (ou todas, se o arquivo principal estiver ausente ou corrompido)
+  async recoverDatabase(databaseName) {
+    if (!await this.journal.exists(databaseName)) {
+      return null;
+    }
+
+    const filePath = path.join('dados', `${databaseName}.xml`);
+    let currentVersion = -1;
+
+    if (await arquivoExiste(filePath)) {
+      const xmlContent = await lerArquivo(filePath);
+      if (XMLValidator.validate(xmlContent) === true) {
+        const dbData = this.parser.parse(xmlContent);
+        currentVersion = Number(dbData.banco && dbData.banco['@versao']) || 0;
+      }
+    }
+
+    const entries = await this.journal.read(databaseName);
+    const pending = entries.filter(entry => entry.versao > currentVersion);
+
+    if (pending.length === 0) {
+      // Nada a reaplicar: o journal só pode ser descartado se o arquivo principal estiver íntegro
+      if (currentVersion >= 0) {
+        await this.journal.clear(databaseName);
+      }
+      return null;
+    }
+
+    const latest = pending[pending.length - 1];
+    await escreverArquivo(filePath, latest.conteudo);
+    await this.journal.clear(databaseName);
+
+    return {
+      banco: databaseName,
+      versao: latest.versao,
+      operacoes: pending.flatMap(entry => entry.operacoes || [])
+    };
   }
 
   async createDatabase(databaseName) {
@@ -61,6 +141,13 @@ class StorageManager {
   }
 
   async loadDatabase(databaseName) {
+    if (this.isInTransaction(databaseName)) {
+      return this.normalizeDatabase(this.parser.parse(this.transaction.xmlContent));
+    }
+
+    // Uma gravação anterior foi interrompida: reaplicar o journal antes de ler
+    await this.recoverDatabase(databaseName);
+
     const filePath = path.join('dados', `${databaseName}.xml`);
     
     if (!await arquivoExiste(filePath)) {
@@ -68,13 +155,132 @@ class StorageManager {
     }
 
     const xmlContent = await lerArquivo(filePath);
-    return this.parser.parse(xmlContent);
+
+    if (XMLValidator.validate(xmlContent) !== true) {
+      throw new Error(`Arquivo do banco '${databaseName}' está corrompido e não há journal para recuperá-lo`);
+    }
+
+    const dbData = this.normalizeDatabase(this.parser.parse(xmlContent));
+    const versao = Number(dbData.banco['@versao']) || 0;
+
+    for (const tableData of Object.values(dbData.banco.tabelas || {})) {
+      if (tableData) {
+        this.tableVersions.set(tableData, versao);
+      }
+    }
+
+    return dbData;
   }
 
-  async saveDatabase(databaseName, data) {
-    const filePath = path.join('dados', `${databaseName}.xml`);
+  // O XML não distingue um item de uma lista com um item: garantir que
+  // 'constraints' de cada tabela seja sempre um array. Os valores dos
+  // registros chegam como texto e são convertidos pelo tipo da coluna
+  normalizeDatabase(dbData) {
+    const tables = (dbData && dbData.banco && dbData.banco.tabelas) || {};
+
+    for (const tableData of Object.values(tables)) {
+      if (!tableData) continue;
+
+      if (tableData.constraints && !Array.isArray(tableData.constraints)) {
+        tableData.constraints = [tableData.constraints];
+      }
+
+      if (tableData.indices) {
+        tableData.indices = [].concat(tableData.indices).map(index => ({
+          nome: index.nome,
+          colunas: [].concat(index.colunas),
+          unico: index.unico === true || index.unico === 'true'
+        }));
+      }
+
+      const columns = tableData.colunas || {};
+      for (const record of Object.values(tableData.registros || {})) {
+        for (const [columnName, value] of Object.entries(record)) {
+          if (columns[columnName]) {
+            record[columnName] = this.constraintValidator.parseStoredValue(value, columns[columnName]['@tipo']);
+          }
+        }
+      }
+    }
+
+    return dbData;
+  }
+
+  async saveDatabase(databaseName, data, operation = 'gravar banco') {
+    // Dentro de uma transação, as alterações ficam apenas em memória até o commit
+    if (this.isInTransaction(databaseName)) {
+      this.transaction.xmlContent = this.builder.build(data);
+      this.transaction.operations.push(operation);
+      return;
+    }
+
+    await this.persistDatabase(databaseName, data, [operation]);
+  }
+
+  // Grava o banco passando pelo journal: entrada no journal, escrita atômica
+  // do arquivo principal e, por fim, descarte do journal (checkpoint)
+  async persistDatabase(databaseName, data, operations) {
+    const versao = (Number(data.banco['@versao']) || 0) + 1;
+    data.banco['@versao'] = versao;
+
     const xmlContent = this.builder.build(data);
+    await this.journal.append(databaseName, {
+      versao,
+      data: new Date().toISOString(),
+      operacoes: operations,
+      conteudo: xmlContent
+    });
+
+    const filePath = path.join('dados', `${databaseName}.xml`);
     await escreverArquivo(filePath, xmlContent);
+    await this.journal.clear(databaseName);
+  }
+
+  async beginTransaction(databaseName) {
+    if (this.transaction) {
+      throw new Error(`Já existe uma transação em andamento no banco '${this.transaction.databaseName}'`);
+    }
+
+    const filePath = path.join('dados', `${databaseName}.xml`);
+
+    if (!await arquivoExiste(filePath)) {
+      throw new Error(`Banco '${databaseName}' não encontrado`);
+    }
+
+    const dbData = await this.loadDatabase(databaseName);
+
+    this.transaction = {
+      databaseName,
+      xmlContent: this.builder.build(dbData),
+      operations: []
+    };
+  }
+
+  async commitTransaction() {
+    if (!this.transaction) {
+      throw new Error('Nenhuma transação em andamento');
+    }
+
+    const { databaseName, xmlContent, operations } = this.transaction;
+
+    if (operations.length > 0) {
+      await this.persistDatabase(databaseName, this.parser.parse(xmlContent), operations);
+    }
+
+    this.transaction = null;
+  }
+
+  rollbackTransaction() {
+    if (!this.transaction) {
+      throw new Error('Nenhuma transação em andamento');
+    }
+
+    this.transaction = null;
+  }
+
+  isInTransaction(databaseName = null) {
+    if (!this.transaction) return false;
+    return databaseName === null || this.transaction.databaseName === databaseName;
   }
 
   async loadTable(databaseName, tableName) {
@@ -87,7 +293,7 @@ class StorageManager {
     return dbData.banco.tabelas[tableName];
   }
 
-  async saveTable(databaseName, tableName, tableData) {
+  async saveTable(databaseName, tableName, tableData, operation = `gravar tabela '${tableName}'`) {
     const dbData = await this.loadDatabase(databaseName);
     
     if (!dbData) {
@@ -99,7 +305,7 @@ class StorageManager {
     }
 
     dbData.banco.tabelas[tableName] = tableData;
-    await this.saveDatabase(databaseName, dbData);
+    await this.saveDatabase(databaseName, dbData, operation);
   }
 
 // src/storage/manager.js (correção na função createTable)
@@ -126,33 +332,7 @@ async createTable(databaseName, tableName, columnDefinitions, tableConstraints =
   
   // Processar definições de colunas
   for (const colDef of columnDefinitions) {
-    const constraintStrings = [];
-    
-    for (const constraint of colDef.constraints) {
-      switch (constraint.type) {
-        case 'PRIMARY_KEY':
-          constraintStrings.push('PRIMARY_KEY');
-          break;
-        case 'UNIQUE':
-          constraintStrings.push('UNIQUE');
-          break;
-        case 'NOT_NULL':
-          constraintStrings.push('NOT_NULL');
-          break;
-        case 'AUTO_INCREMENT':
-          constraintStrings.push('AUTO_INCREMENT');
-          break;
-        case 'DEFAULT':
-          const defaultVal = constraint.options.value.value || constraint.options.value;
-          constraintStrings.push(`DEFAULT:${defaultVal}`);
-          break;
-      }
-    }
-    
-    columns[colDef.name] = {
-      '@tipo': colDef.type,
-      '@constraints': constraintStrings.join(',')
-    };
+    columns[colDef.name] = this.buildColumnSchema(colDef);
   }
   
   for (const constraint of tableConstraints) {
@@ -175,7 +355,7 @@ async createTable(databaseName, tableName, columnDefinitions, tableConstraints =
 
   dbData.banco.tabelas[tableName] = tableStructure;
 
-  await this.saveDatabase(databaseName, dbData);
+  await this.saveDatabase(databaseName, dbData, `criar tabela '${tableName}'`);
 
   return {
     sucesso: true,
@@ -183,18 +363,315 @@ async createTable(databaseName, tableName, columnDefinitions, tableConstraints =
   };
 }
 
-  async insertRecord(databaseName, tableName, record) {
-    const tableData = await this.loadTable(databaseName, tableName);
-    
-    if (!tableData) {
+buildColumnSchema(colDef) {
+  if (!validarTipo(colDef.type)) {
+    throw new Error(`Tipo inválido para coluna '${colDef.name}': ${colDef.type} (use texto, texto(N), numero, booleano, uuid, data ou datahora)`);
+  }
+
+  const constraintStrings = [];
+  
+  for (const constraint of colDef.constraints) {
+    switch (constraint.type) {
+      case 'PRIMARY_KEY':
+        constraintStrings.push('PRIMARY_KEY');
+        break;
+      case 'UNIQUE':
+        constraintStrings.push('UNIQUE');
+        break;
+      case 'NOT_NULL':
+        constraintStrings.push('NOT_NULL');
+        break;
+      case 'AUTO_INCREMENT':
+        constraintStrings.push('AUTO_INCREMENT');
+        break;
+      case 'DEFAULT': {
+        const defaultExpr = constraint.options.value;
+        if (!defaultExpr || defaultExpr.constructor.name !== 'LiteralExpression') {
+          throw new Error(`Valor padrão da coluna '${colDef.name}' deve ser um literal`);
+        }
+        // 'padrao nulo' equivale a não ter valor padrão
+        if (defaultExpr.value === null) {
+          break;
+        }
+        let defaultVal;
+        try {
+          defaultVal = this.constraintValidator.coerceValue(defaultExpr.value, colDef.type);
+        } catch (error) {
+          throw new Error(`Valor padrão inválido para coluna '${colDef.name}' (${colDef.type}): ${error.message}`);
+        }
+        constraintStrings.push(`DEFAULT:${defaultVal}`);
+        break;
+      }
+    }
+  }
+  
+  return {
+    '@tipo': colDef.type,
+    '@constraints': constraintStrings.join(',')
+  };
+}
+
+  async dropDatabase(databaseName) {
+    const filePath = path.join('dados', `${databaseName}.xml`);
+
+    if (!await arquivoExiste(filePath)) {
+      throw new Error(`Banco '${databaseName}' não encontrado`);
+    }
+
+    if (this.isInTransaction(databaseName)) {
+      throw new Error(`Não é possível apagar o banco '${databaseName}' durante uma transação`);
+    }
+
+    await removerArquivo(filePath);
+    await this.journal.clear(databaseName);
+    this.indexManager.invalidate(databaseName);
+
+    return {
+      sucesso: true,
+      mensagem: `✅ Banco '${databaseName}' apagado com sucesso`
+    };
+  }
+
+  async dropTable(databaseName, tableName) {
+    const dbData = await this.loadDatabaseWithTable(databaseName, tableName);
+
+    const references = this.findReferencingConstraints(dbData, tableName)
+      .filter(ref => ref.tableName !== tableName);
+
+    if (references.length > 0) {
+      throw new Error(
+        `Tabela '${tableName}' é referenciada por chave estrangeira em: ${this.describeReferences(references)}`
+      );
+    }
+
+    delete dbData.banco.tabelas[tableName];
+    await this.saveDatabase(databaseName, dbData, `apagar tabela '${tableName}'`);
+
+    return {
+      sucesso: true,
+      mensagem: `✅ Tabela '${tableName}' apagada com sucesso`
+    };
+  }
+
+  async addColumn(databaseName, tableName, colDef) {
+    const dbData = await this.loadDatabaseWithTable(databaseName, tableName);
+    const tableData = dbData.banco.tabelas[tableName];
+
+    if (tableData.colunas[colDef.name]) {
+      throw new Error(`Coluna '${colDef.name}' já existe na tabela '${tableName}'`);
+    }
+
+    const columnSchema = this.buildColumnSchema(colDef);
+    tableData.colunas[colDef.name] = columnSchema;
+
+    // Preencher registros existentes com o valor padrão (ou deixar nulo)
+    const records = Object.values(tableData.registros || {});
+    const constraints = this.constraintValidator.parseConstraints(columnSchema['@constraints']);
+    const defaultConstraint = constraints.find(c => c.startsWith('DEFAULT:'));
+
+    if (records.length > 0 && constraints.includes('NOT_NULL') && !defaultConstraint) {
+      throw new Error(`Coluna '${colDef.name}' é NOT NULL e a tabela já possui registros: defina um valor padrão`);
+    }
+
+    // Os registros existentes recebem todos o mesmo valor (o padrão ou nulo), que não
+    // serve de chave primária nem, com mais de um registro, de valor único
+    if (records.length > 0 && constraints.includes('PRIMARY_KEY')) {
+      throw new Error(`Coluna '${colDef.name}' é PRIMARY KEY e a tabela já possui registros: os valores não seriam únicos`);
+    }
+
+    if (defaultConstraint) {
+      const defaultValue = this.constraintValidator.parseDefaultValue(
+        defaultConstraint.substring('DEFAULT:'.length),
+        columnSchema['@tipo']
+      );
+      if (records.length > 1 && constraints.includes('UNIQUE') && defaultValue !== null) {
+        throw new Error(`Coluna '${colDef.name}' é UNIQUE e o valor padrão se repetiria nos ${records.length} registros da tabela`);
+      }
+      for (const record of records) {
+        record[colDef.name] = defaultValue;
+      }
+    }
+
+    await this.saveDatabase(databaseName, dbData, `adicionar coluna '${colDef.name}' em '${tableName}'`);
+
+    return {
+      sucesso: true,
+      mensagem: `✅ Coluna '${colDef.name}' adicionada à tabela '${tableName}'`
+    };
+  }
+
+  async dropColumn(databaseName, tableName, columnName) {
+    const dbData = await this.loadDatabaseWithTable(databaseName, tableName);
+    const tableData = dbData.banco.tabelas[tableName];
+
+    if (!tableData.colunas[columnName]) {
+      throw new Error(`Coluna '${columnName}' não existe na tabela '${tableName}'`);
+    }
+
+    if (Object.keys(tableData.colunas).length === 1) {
+      throw new Error(`Não é possível remover a única coluna da tabela '${tableName}'`);
+    }
+
+    const references = this.findReferencingConstraints(dbData, tableName, columnName)
+      .filter(ref => !(ref.tableName === tableName && ref.constraint.columnName === columnName));
+
+    if (references.length > 0) {
+      throw new Error(
+        `Coluna '${tableName}.${columnName}' é referenciada por chave estrangeira em: ${this.describeReferences(references)}`
+      );
+    }
+
+    delete tableData.colunas[columnName];
+
+    for (const record of Object.values(tableData.registros || {})) {
+      delete record[columnName];
+    }
+
+    // Constraints de tabela e índices sobre a coluna removida deixam de existir
+    if (tableData.constraints) {
+      tableData.constraints = tableData.constraints.filter(c => c.columnName !== columnName);
+      if (tableData.constraints.length === 0) {
+        delete tableData.constraints;
+      }
+    }
+
+    if (tableData.indices) {
+      tableData.indices = tableData.indices.filter(index => !index.colunas.includes(columnName));
+      if (tableData.indices.length === 0) {
+        delete tableData.indices;
+      }
+    }
+
+    await this.saveDatabase(databaseName, dbData, `remover coluna '${columnName}' de '${tableName}'`);
+
+    return {
+      sucesso: true,
+      mensagem: `✅ Coluna '${columnName}' removida da tabela '${tableName}'`
+    };
+  }
+
+  async renameColumn(databaseName, tableName, columnName, newName) {
+    const dbData = await this.loadDatabaseWithTable(databaseName, tableName);
+    const tableData = dbData.banco.tabelas[tableName];
+
+    if (!tableData.colunas[columnName]) {
+      throw new Error(`Coluna '${columnName}' não existe na tabela '${tableName}'`);
+    }
+
+    if (tableData.colunas[newName]) {
+      throw new Error(`Coluna '${newName}' já existe na tabela '${tableName}'`);
+    }
+
+    tableData.colunas = this.renameKey(tableData.colunas, columnName, newName);
+
+    const registros = tableData.registros || {};
+    for (const regId of Object.keys(registros)) {
+      registros[regId] = this.renameKey(registros[regId], columnName, newName);
+    }
+
+    // Atualizar constraints e índices da própria tabela e chaves estrangeiras que apontam para a coluna
+    for (const constraint of tableData.constraints || []) {
+      if (constraint.columnName === columnName) {
+        constraint.columnName = newName;
+      }
+    }
+
+    for (const index of tableData.indices || []) {
+      index.colunas = index.colunas.map(column => (column === columnName ? newName : column));
+    }
+
+    for (const ref of this.findReferencingConstraints(dbData, tableName, columnName)) {
+      ref.constraint.options.referencedColumn = newName;
+    }
+
+    await this.saveDatabase(databaseName, dbData, `renomear coluna '${columnName}' de '${tableName}'`);
+
+    return {
+      sucesso: true,
+      mensagem: `✅ Coluna '${columnName}' renomeada para '${newName}' na tabela '${tableName}'`
+    };
+  }
+
+  async renameTable(databaseName, tableName, newName) {
+    const dbData = await this.loadDatabaseWithTable(databaseName, tableName);
+
+    if (dbData.banco.tabelas[newName]) {
+      throw new Error(`Tabela '${newName}' já existe`);
+    }
+
+    for (const ref of this.findReferencingConstraints(dbData, tableName)) {
+      ref.constraint.options.referencedTable = newName;
+    }
+
+    dbData.banco.tabelas = this.renameKey(dbData.banco.tabelas, tableName, newName);
+    await this.saveDatabase(databaseName, dbData, `renomear tabela '${tableName}' para '${newName}'`);
+
+    return {
+      sucesso: true,
+      mensagem: `✅ Tabela '${tableName}' renomeada para '${newName}'`
+    };
+  }
+
+  async loadDatabaseWithTable(databaseName, tableName) {
+    const dbData = await this.loadDatabase(databaseName);
+
+    if (!dbData) {
+      throw new Error(`Banco '${databaseName}' não encontrado`);
+    }
+
+    if (!dbData.banco.tabelas || !dbData.banco.tabelas[tableName]) {
       throw new Error(`Tabela '${tableName}' não encontrada`);
     }
 
+    return dbData;
+  }
+
+  // Lista as FOREIGN_KEY (de qualquer tabela) que referenciam a tabela/coluna informada
+  findReferencingConstraints(dbData, referencedTable, referencedColumn = null) {
+    const references = [];
+
+    for (const [tableName, tableData] of Object.entries(dbData.banco.tabelas || {})) {
+      for (const constraint of tableData.constraints || []) {
+        if (constraint.type !== 'FOREIGN_KEY') continue;
+
+        const options = constraint.options || {};
+        if (options.referencedTable !== referencedTable) continue;
+        if (referencedColumn && options.referencedColumn !== referencedColumn) continue;
+
+        references.push({ tableName, constraint });
+      }
+    }
+
+    return references;
+  }
+
+  describeReferences(references) {
+    return references
+      .map(ref => `${ref.tableName}(${ref.constraint.columnName})`)
+      .join(', ');
+  }
+
+  // Renomeia uma chave preservando a ordem das demais
+  renameKey(object, oldKey, newKey) {
+    const renamed = {};
+    for (const [key, value] of Object.entries(object)) {
+      renamed[key === oldKey ? newKey : key] = value;
+    }
+    return renamed;
+  }
+
+  // Insere os registros como um lote: todos são validados (entre si e contra a tabela)
+  // e o banco é gravado uma única vez; qualquer violação cancela o lote inteiro
+  async insertRecords(databaseName, tableName, records) {
+    const dbData = await this.loadDatabaseWithTable(databaseName, tableName);
+    const tableData = dbData.banco.tabelas[tableName];
+    const fromVersion = Number(dbData.banco['@versao']) || 0;
+
     // Validar constraints
     const errors = await this.constraintValidator.validateInsert(
       databaseName, 
       tableName, 
-      record, 
+      records, 
       tableData
     );
     
@@ -202,24 +679,443 @@ async createTable(databaseName, tableName, columnDefinitions, tableConstraints =
       throw new Error(`Violação de constraints: ${errors.join(', ')}`);
     }
 
-    // Gerar ID único para o registro
-    const nextId = Object.keys(tableData.registros || {}).length + 1;
-    tableData.registros = tableData.registros || {};
-    tableData.registros[`reg_${nextId}`] = record;
+    const changes = this.addRecords(tableData, records);
 
-    await this.saveTable(databaseName, tableName, tableData);
+    if (records.length > 0) {
+      await this.saveDatabase(databaseName, dbData, `inserir em '${tableName}'`);
+      this.maintainIndexes(databaseName, tableName, fromVersion, dbData, changes);
+    }
     
     return {
       sucesso: true,
-      mensagem: `✅ Registro inserido na tabela '${tableName}' com sucesso`
+      mensagem: records.length === 1
+        ? `✅ Registro inserido na tabela '${tableName}' com sucesso`
+        : `✅ ${records.length} registro(s) inserido(s) na tabela '${tableName}'`
     };
   }
 
+  // Insere registros já validados; retorna as mudanças para a manutenção dos índices
+  addRecords(tableData, records) {
+    tableData.registros = tableData.registros || {};
+    let nextId = this.getNextRecordNumber(tableData.registros);
+    const changes = [];
+
+    for (const record of records) {
+      // Registros não guardam colunas nulas
+      for (const [columnName, value] of Object.entries(record)) {
+        if (value === null || value === undefined) {
+          delete record[columnName];
+        }
+      }
+
+      const regId = `reg_${nextId++}`;
+      tableData.registros[regId] = record;
+      changes.push({ regId, before: null, after: record });
+    }
+
+    return changes;
+  }
+
+  // Insere o lote tratando os registros que conflitam, na chave de conflito, com um
+  // registro da tabela ou com um registro anterior do lote: o conflito é ignorado ou
+  // atualiza o registro existente, em ordem. Os registros inseridos e os atualizados
+  // são validados juntos e o banco é gravado uma única vez.
+  // onConflict: { columns (null = qualquer chave única), action: 'IGNORE' | 'UPDATE',
+  //               getUpdates(existente, proposto) -> { coluna: novoValor } }
+  async upsertRecords(databaseName, tableName, records, onConflict) {
+    const dbData = await this.loadDatabaseWithTable(databaseName, tableName);
+    const fromVersion = Number(dbData.banco['@versao']) || 0;
+    const tableData = dbData.banco.tabelas[tableName];
+    const registros = tableData.registros = tableData.registros || {};
+
+    // Registros gravados são encontrados pelo índice de cada chave (obtido antes de qualquer
+    // alteração); os inseridos ou atualizados pelo comando ficam em 'owners': valores -> registro
+    const conflictKeys = this.getConflictKeys(tableData, onConflict.columns).map(columns => ({
+      columns,
+      index: this.getTableIndex(databaseName, tableName, tableData, columns),
+      owners: new Map()
+    }));
+    const updatedIds = new Set();
+    const regIds = new Map(); // registro gravado -> regId
+
+    const valuesFor = (columns, record) => {
+      const values = columns.map(columnName => record[columnName]);
+      return values.some(value => value === null || value === undefined) ? null : values;
+    };
+    const setOwner = (record, owner) => {
+      for (const { columns, owners } of conflictKeys) {
+        const values = valuesFor(columns, record);
+        if (!values) continue;
+
+        const key = JSON.stringify(values);
+        if (owner) {
+          owners.set(key, owner);
+        } else if (owners.get(key) === record) {
+          owners.delete(key);
+        }
+      }
+    };
+    const findExisting = record => {
+      for (const { columns, index, owners } of conflictKeys) {
+        const values = valuesFor(columns, record);
+        if (!values) continue;
+
+        const owner = owners.get(JSON.stringify(values));
+        if (owner) return owner;
+
+        // Registros já atualizados pelo comando têm no índice os valores antigos
+        const regId = index.find(values).find(id => !updatedIds.has(id));
+        if (regId) {
+          regIds.set(registros[regId], regId);
+          return registros[regId];
+        }
+      }
+      return null;
+    };
+
+    const pending = [];
+    const assignedColumns = new Set();
+    const changes = [];
+    const indexChanges = [];
+    const typeErrors = new Set();
+    const nextValues = new Map();
+    let updated = 0;
+    let ignored = 0;
+
+    for (const record of records) {
+      // Valores convertidos para o tipo da coluna e completados (auto incremento, padrão)
+      // antes da busca: também fazem parte da chave e do registro proposto
+      this.constraintValidator.coerceRecord(record, tableData).forEach(error => typeErrors.add(error));
+      await this.constraintValidator.applyAutoValues(record, tableData, nextValues);
+
+      const existing = findExisting(record);
+
+      if (!existing) {
+        pending.push(record);
+        setOwner(record, record);
+        continue;
+      }
+
+      if (onConflict.action === 'IGNORE') {
+        ignored++;
+        continue;
+      }
+
+      const newValues = onConflict.getUpdates(existing, record);
+      this.constraintValidator.coerceRecord(newValues, tableData).forEach(error => typeErrors.add(error));
+
+      // Registros do lote ainda não inseridos não têm regId: basta alterá-los
+      const regId = regIds.get(existing);
+      if (regId && !updatedIds.has(regId)) {
+        updatedIds.add(regId);
+        indexChanges.push({ regId, before: { ...existing }, after: existing });
+      }
+
+      setOwner(existing, null);
+      for (const [columnName, newValue] of Object.entries(newValues)) {
+        if (regId) {
+          assignedColumns.add(columnName);
+          if (existing[columnName] !== newValue) {
+            changes.push({ column: columnName, oldValue: existing[columnName], newValue });
+          }
+        }
+
+        // Registros não guardam colunas nulas
+        if (newValue === null || newValue === undefined) {
+          delete existing[columnName];
+        } else {
+          existing[columnName] = newValue;
+        }
+      }
+      setOwner(existing, existing);
+      updated++;
+    }
+
+    if (typeErrors.size > 0) {
+      throw new Error(`Violação de constraints: ${Array.from(typeErrors).join(', ')}`);
+    }
+
+    // Validar de uma vez o estado final dos registros inseridos e atualizados (havendo
+    // inseridos, todas as colunas são verificadas); nada foi gravado até aqui
+    const insertChanges = this.addRecords(tableData, pending);
+    const errors = await this.constraintValidator.validateUpdate(
+      databaseName,
+      tableName,
+      tableData,
+      [...insertChanges.map(change => change.regId), ...updatedIds],
+      pending.length > 0 ? Object.keys(tableData.colunas) : Array.from(assignedColumns)
+    );
+
+    if (errors.length > 0) {
+      throw new Error(`Violação de constraints: ${errors.join(', ')}`);
+    }
+
+    const summary = this.referentialIntegrity.applyUpdate(dbData, tableName, changes);
+
+    if (pending.length > 0 || updatedIds.size > 0) {
+      await this.saveDatabase(databaseName, dbData, `inserir em '${tableName}'`);
+      this.maintainIndexes(databaseName, tableName, fromVersion, dbData,
+        summary.cascaded === 0 && summary.nullified === 0 ? [...insertChanges, ...indexChanges] : null);
+    }
+
+    return { ...summary, inserted: pending.length, updated, ignored };
+  }
+
+  // Colunas de cada chave que caracteriza um conflito: todas as chaves únicas da
+  // tabela, ou apenas a que tem exatamente as colunas informadas
+  getConflictKeys(tableData, columns) {
+    const uniqueKeys = this.constraintValidator.getUniqueKeys(tableData).map(uniqueKey => uniqueKey.columns);
+    if (!columns) {
+      return uniqueKeys;
+    }
+
+    const target = [...columns].sort().join(',');
+    const match = uniqueKeys.find(keyColumns => [...keyColumns].sort().join(',') === target);
+    if (!match) {
+      throw new Error(`Não há chave primária, coluna única ou índice único em (${columns.join(', ')}) na tabela`);
+    }
+    return [match];
+  }
+
+  // Número do próximo 'reg_N': depois de remoções, a quantidade de registros
+  // pode coincidir com um id ainda em uso
+  getNextRecordNumber(registros) {
+    let maxNumber = 0;
+    for (const regId of Object.keys(registros)) {
+      const match = regId.match(/^reg_(\d+)$/);
+      if (match) {
+        maxNumber = Math.max(maxNumber, Number(match[1]));
+      }
+    }
+    return maxNumber + 1;
+  }
+
+  // Remove registros aplicando as ações referenciais das outras tabelas
+  async deleteRecords(databaseName, tableName, regIds) {
+    const dbData = await this.loadDatabaseWithTable(databaseName, tableName);
+    const fromVersion = Number(dbData.banco['@versao']) || 0;
+    const registros = dbData.banco.tabelas[tableName].registros || {};
+    const changes = regIds.map(regId => ({ regId, before: registros[regId], after: null }));
+    const summary = this.referentialIntegrity.applyDelete(dbData, tableName, regIds);
+
+    await this.saveDatabase(databaseName, dbData, `remover de '${tableName}'`);
+    // Ações em cascata alteram outras tabelas: nesse caso os índices são reconstruídos
+    this.maintainIndexes(databaseName, tableName, fromVersion, dbData,
+      summary.cascaded === 0 && summary.nullified === 0 ? changes : null);
+    return summary;
+  }
+
+  // updates: { regId: { coluna: novoValor } }
+  async updateRecords(databaseName, tableName, updates) {
+    const dbData = await this.loadDatabaseWithTable(databaseName, tableName);
+    const fromVersion = Number(dbData.banco['@versao']) || 0;
+    const tableData = dbData.banco.tabelas[tableName];
+    const registros = tableData.registros || {};
+    const assignedColumns = new Set();
+    const changes = [];
+    const indexChanges = Object.keys(updates).map(regId => ({ regId, before: { ...registros[regId] }, after: registros[regId] }));
+
+    // Converter os novos valores para o tipo de cada coluna antes de aplicá-los
+    const typeErrors = new Set();
+    for (const newValues of Object.values(updates)) {
+      this.constraintValidator.coerceRecord(newValues, tableData).forEach(error => typeErrors.add(error));
+    }
+
+    if (typeErrors.size > 0) {
+      throw new Error(`Violação de constraints: ${Array.from(typeErrors).join(', ')}`);
+    }
+
+    for (const [regId, newValues] of Object.entries(updates)) {
+      const record = registros[regId];
+
+      for (const [columnName, newValue] of Object.entries(newValues)) {
+        assignedColumns.add(columnName);
+        if (record[columnName] !== newValue) {
+          changes.push({ column: columnName, oldValue: record[columnName], newValue });
+        }
+
+        // Registros não guardam colunas nulas
+        if (newValue === null || newValue === undefined) {
+          delete record[columnName];
+        } else {
+          record[columnName] = newValue;
+        }
+      }
+    }
+
+    // Validar o estado final de todos os registros alterados; qualquer violação
+    // cancela o UPDATE inteiro (nada foi gravado até aqui)
+    const errors = await this.constraintValidator.validateUpdate(
+      databaseName,
+      tableName,
+      tableData,
+      Object.keys(updates),
+      Array.from(assignedColumns)
+    );
+
+    if (errors.length > 0) {
+      throw new Error(`Violação de constraints: ${errors.join(', ')}`);
+    }
+
+    const summary = this.referentialIntegrity.applyUpdate(dbData, tableName, changes);
+
+    await this.saveDatabase(databaseName, dbData, `atualizar '${tableName}'`);
+    this.maintainIndexes(databaseName, tableName, fromVersion, dbData,
+      summary.cascaded === 0 && summary.nullified === 0 ? indexChanges : null);
+    return summary;
+  }
+
+  // Mantém os índices em cache depois de uma gravação que alterou apenas 'tableName'
+  // (changes nulo quando outras tabelas também mudaram: os índices do banco são descartados)
+  maintainIndexes(databaseName, tableName, fromVersion, dbData, changes) {
+    // Dentro de uma transação nada foi gravado ainda
+    if (this.isInTransaction(databaseName)) return;
+
+    if (changes === null) {
+      this.indexManager.invalidate(databaseName);
+    } else {
+      this.indexManager.applyChanges(databaseName, tableName, fromVersion, dbData.banco['@versao'], changes);
+    }
+  }
+
+  async createIndex(databaseName, indexName, tableName, columns, unique = false) {
+    const dbData = await this.loadDatabaseWithTable(databaseName, tableName);
+    const tableData = dbData.banco.tabelas[tableName];
+
+    for (const columnName of columns) {
+      if (!tableData.colunas[columnName]) {
+        throw new Error(`Coluna '${columnName}' não existe na tabela '${tableName}'`);
+      }
+    }
+
+    if (new Set(columns).size !== columns.length) {
+      throw new Error(`Coluna repetida no índice '${indexName}'`);
+    }
+
+    if (this.findIndex(dbData, indexName)) {
+      throw new Error(`Índice '${indexName}' já existe`);
+    }
+
+    const definition = { nome: indexName, colunas: columns, unico: unique };
+
+    if (unique) {
+      const index = new TableIndex(definition).build(tableData.registros || {});
+      const hasDuplicates = Array.from(index.entries.values()).some(regIds => regIds.size > 1);
+      if (hasDuplicates) {
+        throw new Error(`Não é possível criar o índice único '${indexName}': a tabela '${tableName}' tem valores repetidos em (${columns.join(', ')})`);
+      }
+    }
+
+    tableData.indices = [...(tableData.indices || []), definition];
+    await this.saveDatabase(databaseName, dbData, `criar índice '${indexName}'`);
+
+    return {
+      sucesso: true,
+      mensagem: `✅ Índice${unique ? ' único' : ''} '${indexName}' criado em ${tableName}(${columns.join(', ')})`
+    };
+  }
+
+  async dropIndex(databaseName, indexName) {
+    const dbData = await this.loadDatabase(databaseName);
+
+    if (!dbData) {
+      throw new Error(`Banco '${databaseName}' não encontrado`);
+    }
+
+    const found = this.findIndex(dbData, indexName);
+    if (!found) {
+      throw new Error(`Índice '${indexName}' não encontrado`);
+    }
+
+    const tableData = dbData.banco.tabelas[found.tableName];
+    tableData.indices = tableData.indices.filter(index => index.nome !== indexName);
+    if (tableData.indices.length === 0) {
+      delete tableData.indices;
+    }
+
+    await this.saveDatabase(databaseName, dbData, `apagar índice '${indexName}'`);
+
+    return {
+      sucesso: true,
+      mensagem: `✅ Índice '${indexName}' apagado da tabela '${found.tableName}'`
+    };
+  }
+
+  // Nomes de índice são únicos no banco
+  findIndex(dbData, indexName) {
+    for (const [tableName, tableData] of Object.entries(dbData.banco.tabelas || {})) {
+      const index = (tableData.indices || []).find(candidate => candidate.nome === indexName);
+      if (index) {
+        return { tableName, index };
+      }
+    }
+    return null;
+  }
+
+  // Índices declarados mais os implícitos das colunas PRIMARY KEY e UNIQUE
+  getIndexDefinitions(tableData) {
+    const definitions = [...(tableData.indices || [])];
+
+    for (const columnName of Object.keys(tableData.colunas || {})) {
+      const constraints = this.constraintValidator.getColumnConstraints(tableData, columnName);
+      const covered = definitions.some(index => index.colunas.length === 1 && index.colunas[0] === columnName);
+
+      if (covered) continue;
+
+      if (constraints.includes('PRIMARY_KEY')) {
+        definitions.push({ nome: `pk:${columnName}`, colunas: [columnName], unico: true });
+      } else if (constraints.includes('UNIQUE')) {
+        definitions.push({ nome: `unico:${columnName}`, colunas: [columnName], unico: true });
+      }
+    }
+
+    return definitions;
+  }
+
+  // Índice sobre exatamente estas colunas, ou null. tableData deve estar como foi lido do banco
+  getTableIndex(databaseName, tableName, tableData, columns) {
+    const definition = this.getIndexDefinitions(tableData).find(index =>
+      index.colunas.length === columns.length &&
+      index.colunas.every((column, i) => column === columns[i])
+    );
+
+    if (!definition) {
+      return null;
+    }
+
+    const version = this.tableVersions.has(tableData) ? this.tableVersions.get(tableData) : null;
+    return this.indexManager.getIndex(databaseName, tableName, tableData, definition, version);
+  }
+
+  // regIds dos registros com estes valores nas colunas (usa um índice quando houver)
+  async findRecordIds(databaseName, tableName, columns, values) {
+    const tableData = await this.loadTable(databaseName, tableName);
+    if (!tableData) return [];
+
+    const index = this.getTableIndex(databaseName, tableName, tableData, columns);
+    if (index) {
+      return index.find(values);
+    }
+
+    return Object.entries(tableData.registros || {})
+      .filter(([, record]) => columns.every((column, i) => record[column] === values[i]))
+      .map(([regId]) => regId);
+  }
+
   async databaseExists(databaseName) {
     const filePath = path.join('dados', `${databaseName}.xml`);
     return await arquivoExiste(filePath);
   }
 
+  async listDatabases() {
+    const files = await listarArquivos('dados');
+
+    return files
+      .filter(file => path.extname(file) === '.xml')
+      .map(file => path.basename(file, '.xml'))
+      .sort();
+  }
+
   async listTables(databaseName) {
     const dbData = await this.loadDatabase(databaseName);
     
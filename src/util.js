@@ -44,18 +44,75 @@ async function lerArquivo(caminho) {
 }
 
 /**
-* Escreve conteúdo em um arquivo
+* Escreve conteúdo em um arquivo de forma atômica: o conteúdo é gravado em um
+* arquivo temporário, sincronizado com o disco e só então renomeado sobre o
+* destino, de modo que uma interrupção nunca deixa o arquivo pela metade
 * @param {string} caminho - Caminho do arquivo
 * @param {string} conteudo - Conteúdo a ser escrito
 */
 async function escreverArquivo(caminho, conteudo) {
+ const temporario = `${caminho}.tmp`;
+
+ try {
+   const arquivo = await fs.open(temporario, 'w');
+   try {
+     await arquivo.writeFile(conteudo, 'utf8');
+     await arquivo.sync();
+   } finally {
+     await arquivo.close();
+   }
+   await fs.rename(temporario, caminho);
+ } catch (error) {
+   await fs.unlink(temporario).catch(() => {});
+   throw new Error(`Erro ao escrever arquivo: ${error.message}`);
+ }
+}
+
+/**
+* Acrescenta conteúdo ao final de um arquivo e aguarda a gravação em disco
+* @param {string} caminho - Caminho do arquivo
+* @param {string} conteudo - Conteúdo a ser acrescentado
+*/
+async function acrescentarArquivo(caminho, conteudo) {
  try {
-   await fs.writeFile(caminho, conteudo, 'utf8');
+   const arquivo = await fs.open(caminho, 'a');
+   try {
+     await arquivo.writeFile(conteudo, 'utf8');
+     await arquivo.sync();
+   } finally {
+     await arquivo.close();
+   }
  } catch (error) {
    throw new Error(`Erro ao escrever arquivo: ${error.message}`);
  }
 }
 
+/**
+* Lista os arquivos de um diretório
+* @param {string} diretorio - Caminho do diretório
+* @returns {string[]} - Nomes dos arquivos (vazio se o diretório não existir)
+*/
+async function listarArquivos(diretorio) {
+ try {
+   return await fs.readdir(diretorio);
+ } catch (error) {
+   if (error.code === 'ENOENT') return [];
+   throw new Error(`Erro ao listar diretório: ${error.message}`);
+ }
+}
+
+/**
+* Remove um arquivo
+* @param {string} caminho - Caminho do arquivo
+*/
+async function removerArquivo(caminho) {
+ try {
+   await fs.unlink(caminho);
+ } catch (error) {
+   throw new Error(`Erro ao remover arquivo: ${error.message}`);
+ }
+}
+
 /**
 * Valida nome de banco ou tabela
 * @param {string} nome - Nome a ser validado
@@ -73,8 +130,66 @@ function validarNome(nome) {
 * @returns {boolean} - True se o tipo é válido
 */
 function validarTipo(tipo) {
- const tiposValidos = ['texto', 'numero', 'booleano'];
- return tiposValidos.includes(tipo.toLowerCase());
+ const tiposValidos = ['texto', 'numero', 'booleano', 'uuid', 'data', 'datahora'];
+ const normalizado = String(tipo).toLowerCase();
+
+ // texto(N): texto com tamanho máximo de N caracteres
+ const comTamanho = normalizado.match(/^texto\((\d+)\)$/);
+ if (comTamanho) {
+   return Number(comTamanho[1]) > 0;
+ }
+
+ return tiposValidos.includes(normalizado);
+}
+
+// AAAA-MM-DD, opcionalmente seguido de hora (HH:MM[:SS[.mmm]], separada por 'T' ou
+// espaço) e fuso (Z ou ±HH:MM). Sem fuso, a hora é considerada UTC
+const PADRAO_DATA_HORA = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+
+/**
+* Converte um valor para data e hora no formato ISO em UTC (AAAA-MM-DDTHH:MM:SS.mmmZ),
+* que ordenado como texto fica em ordem cronológica
+* @param {string|Date} valor - Texto no formato AAAA-MM-DD[ HH:MM[:SS]] ou Date
+* @returns {string|null} - Data e hora normalizada, ou null se o valor não for uma data válida
+*/
+function normalizarDataHora(valor) {
+ if (valor instanceof Date) {
+   return isNaN(valor.getTime()) ? null : valor.toISOString();
+ }
+
+ const partes = typeof valor === 'string' ? valor.trim().match(PADRAO_DATA_HORA) : null;
+ if (!partes) {
+   return null;
+ }
+
+ const [ano, mes, dia, hora, minuto, segundo] = partes.slice(1, 7).map(parte => Number(parte || 0));
+ const milissegundos = Number((partes[7] || '0').padEnd(3, '0'));
+ const instante = new Date(Date.UTC(ano, mes - 1, dia, hora, minuto, segundo, milissegundos));
+
+ // Recusar datas que o Date ajustaria (ex: 2024-02-30 viraria 2024-03-01)
+ if (instante.getUTCFullYear() !== ano || instante.getUTCMonth() !== mes - 1 || instante.getUTCDate() !== dia ||
+     hora > 23 || minuto > 59 || segundo > 59) {
+   return null;
+ }
+
+ const fuso = partes[8];
+ if (fuso && fuso.toUpperCase() !== 'Z') {
+   const [, sinal, horas, minutos] = fuso.match(/^([+-])(\d{2}):?(\d{2})$/);
+   const deslocamento = (Number(horas) * 60 + Number(minutos)) * (sinal === '+' ? 1 : -1);
+   instante.setTime(instante.getTime() - deslocamento * 60000);
+ }
+
+ return instante.toISOString();
+}
+
+/**
+* Converte um valor para data no formato ISO (AAAA-MM-DD); a hora, se houver, é descartada
+* @param {string|Date} valor - Texto no formato AAAA-MM-DD[ HH:MM[:SS]] ou Date
+* @returns {string|null} - Data normalizada, ou null se o valor não for uma data válida
+*/
+function normalizarData(valor) {
+ const dataHora = normalizarDataHora(valor);
+ return dataHora ? dataHora.substring(0, 10) : null;
 }
 
 /**
@@ -101,8 +216,13 @@ module.exports = {
  arquivoExiste,
  lerArquivo,
  escreverArquivo,
+ acrescentarArquivo,
+ removerArquivo,
+ listarArquivos,
  validarNome,
  validarTipo,
+ normalizarData,
+ normalizarDataHora,
  formatarData,
  sanitizarEntrada
 };
\ No newline at end of file
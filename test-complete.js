@@ -25,12 +25,15 @@ async function runCompleteTest() {
     console.log('📋 Teste 2: Criando tabelas...');
     await executeCommand('criar tabela usuarios (id:numero, nome:texto, idade:numero, email:texto)', queryExecutor);
     await executeCommand('criar tabela posts (id:numero, titulo:texto, conteudo:texto, usuario_id:numero)', queryExecutor);
+    await executeCommand('mostrar tabelas', queryExecutor);
+    await executeCommand('descrever tabela usuarios', queryExecutor);
     
     // 4. Inserir dados
     console.log('📋 Teste 3: Inserindo dados...');
     await executeCommand('inserir em usuarios (id, nome, idade, email) valores (1, "João", 25, "joao@email.com")', queryExecutor);
     await executeCommand('inserir em usuarios (id, nome, idade, email) valores (2, "Maria", 30, "maria@email.com")', queryExecutor);
     await executeCommand('inserir em usuarios (id, nome, idade, email) valores (3, "Pedro", 22, "pedro@email.com")', queryExecutor);
+    await executeCommand('inserir em usuarios (id, nome, idade, email) valores (4, "Ana", nulo, nulo)', queryExecutor);
     
     await executeCommand('inserir em posts (id, titulo, conteudo, usuario_id) valores (1, "Primeiro Post", "Conteúdo do primeiro post", 1)', queryExecutor);
     await executeCommand('inserir em posts (id, titulo, conteudo, usuario_id) valores (2, "Segundo Post", "Conteúdo do segundo post", 2)', queryExecutor);
@@ -51,12 +54,68 @@ async function runCompleteTest() {
     console.log('\n--- SELECT com LEFT JOIN ---');
     await executeCommand('selecionar u.nome, p.titulo de usuarios u esquerda juntar posts p em u.id = p.usuario_id', queryExecutor);
     
+    console.log('\n--- SELECT com RIGHT, FULL e CROSS JOIN ---');
+    await executeCommand('selecionar u.nome, p.titulo de usuarios u direita juntar posts p em u.id = p.usuario_id e p.id > 1', queryExecutor);
+    await executeCommand('selecionar u.nome, p.titulo de usuarios u completa juntar posts p em u.id = p.usuario_id e u.idade > 24', queryExecutor);
+    await executeCommand('selecionar u.nome, p.titulo de usuarios u cruzar posts p onde u.id = 1', queryExecutor);
+    
+    console.log('\n--- SELECT * e colunas com o mesmo nome em várias tabelas ---');
+    await executeCommand('selecionar * de usuarios u juntar posts p em u.id = p.usuario_id', queryExecutor);
+    await executeCommand('selecionar u.*, p.titulo de usuarios u juntar posts p em u.id = p.usuario_id', queryExecutor);
+    await executeCommand('selecionar u.id, p.id de usuarios u juntar posts p em u.id = p.usuario_id', queryExecutor);
+    await executeCommand('selecionar id de usuarios u juntar posts p em u.id = p.usuario_id', queryExecutor);
+    await executeCommand('selecionar x.nome de usuarios u', queryExecutor);
+    await executeCommand('selecionar u.apelido de usuarios u', queryExecutor);
+    
     console.log('\n--- SELECT com ORDER BY ---');
     await executeCommand('selecionar nome, idade de usuarios ordenar por idade decrescente', queryExecutor);
+    await executeCommand('selecionar nome de usuarios ordenar por idade', queryExecutor);
+    
+    console.log('\n--- SELECT com expressões aritméticas ---');
+    await executeCommand('selecionar nome, idade * 12 meses, (idade + 5) % 10 de usuarios onde idade - 20 > 3 e nao nome = "Maria"', queryExecutor);
+    
+    console.log('\n--- SELECT com IN, BETWEEN e NOT ---');
+    await executeCommand('selecionar nome de usuarios onde id em (1, 3, 5)', queryExecutor);
+    await executeCommand('selecionar nome, idade de usuarios onde idade entre 22 e 28 e nome nao como "P%"', queryExecutor);
+    await executeCommand('selecionar titulo de posts onde usuario_id nao em (2) e id nao entre 2 e 3', queryExecutor);
+    
+    console.log('\n--- SELECT com subconsultas ---');
+    await executeCommand('selecionar nome, (selecionar contar(*) de posts p onde p.usuario_id = u.id) posts de usuarios u', queryExecutor);
+    await executeCommand('selecionar nome de usuarios onde id nao em (selecionar usuario_id de posts)', queryExecutor);
+    await executeCommand('selecionar nome de usuarios u onde existe (selecionar * de posts p onde p.usuario_id = u.id e p.titulo como "S%")', queryExecutor);
+    await executeCommand('selecionar d.usuario_id, d.total de (selecionar usuario_id, contar(*) total de posts agrupar por usuario_id) d onde d.total > 1', queryExecutor);
+    await executeCommand('selecionar * de (selecionar id, nome de usuarios onde idade > 100) v direita juntar posts p em p.usuario_id = v.id', queryExecutor);
+    
+    console.log('\n--- SELECT com nulos ---');
+    await executeCommand('selecionar nome de usuarios onde email é nulo', queryExecutor);
+    await executeCommand('selecionar nome de usuarios onde idade não é nulo e idade != 30', queryExecutor);
+    await executeCommand('selecionar u.nome de usuarios u esquerda juntar posts p em u.id = p.usuario_id onde p.id é nulo', queryExecutor);
+    await executeCommand('selecionar nome, idade de usuarios ordenar por idade', queryExecutor);
+    await executeCommand('selecionar nome, idade de usuarios ordenar por idade decrescente, nome', queryExecutor);
+    
+    console.log('\n--- SELECT com LIMIT/OFFSET ---');
+    await executeCommand('selecionar nome, idade de usuarios ordenar por idade limitar 2 pular 1', queryExecutor);
+    
+    console.log('\n--- SELECT com funções agregadas ---');
+    await executeCommand('selecionar usuario_id, contar(*) total de posts agrupar por usuario_id', queryExecutor);
+    await executeCommand('selecionar contar(*), media(idade), minimo(idade), maximo(idade) de usuarios', queryExecutor);
+    await executeCommand('selecionar contar(distinto usuario_id) autores de posts', queryExecutor);
+    await executeCommand('selecionar distinto usuario_id de posts ordenar por usuario_id decrescente', queryExecutor);
+    await executeCommand('selecionar distinto email é nulo sem_email de usuarios limitar 1 pular 1', queryExecutor);
+    await executeCommand('selecionar distinto idade > 24 adulto de usuarios ordenar por adulto', queryExecutor);
+    await executeCommand('selecionar usuario_id, contar(*) total de posts agrupar por usuario_id tendo total > 1', queryExecutor);
+    
+    console.log('\n--- SELECT com funções escalares ---');
+    await executeCommand('selecionar maiusculo(nome), tamanho(email), concatenar(nome, " <", email, ">") contato de usuarios', queryExecutor);
+    await executeCommand('selecionar nome, arredondar(idade / 7, 2), coalescer(email, "sem email") de usuarios onde minusculo(nome) como "j%" ordenar por tamanho(nome) decrescente', queryExecutor);
+    await executeCommand('selecionar arredondar(media(idade), 1) de usuarios', queryExecutor);
+    await executeCommand('selecionar raiz(nome) de usuarios', queryExecutor);
     
     // 6. UPDATE
     console.log('📋 Teste 5: UPDATE...');
     await executeCommand('atualizar usuarios definir idade = 26 onde nome = "João"', queryExecutor);
+    await executeCommand('atualizar usuarios definir idade = idade - 1 onde id = 3', queryExecutor);
+    await executeCommand('atualizar posts definir titulo = maiusculo(subtexto(titulo, 1, 1)) + subtexto(titulo, 2) onde id = 1', queryExecutor);
     
     console.log('\n--- Verificar UPDATE ---');
     await executeCommand('selecionar * de usuarios onde nome = "João"', queryExecutor);
@@ -68,6 +127,50 @@ async function runCompleteTest() {
     console.log('\n--- Verificar após DELETE ---');
     await executeCommand('selecionar * de usuarios', queryExecutor);
     
+    console.log('\n--- INSERT com várias linhas e INSERT ... SELECT ---');
+    await executeCommand('inserir em usuarios (id, nome, idade, email) valores (6, "Carla", 27, "carla@email.com"), (7, "Bruno", 19, nulo)', queryExecutor);
+    await executeCommand('criar tabela autores (id:numero, nome:texto)', queryExecutor);
+    await executeCommand('inserir em autores selecionar distinto u.id, u.nome de usuarios u juntar posts p em u.id = p.usuario_id', queryExecutor);
+    await executeCommand('selecionar * de usuarios', queryExecutor);
+    await executeCommand('selecionar * de autores', queryExecutor);
+    // Linha com quantidade errada de valores: nenhuma linha é inserida
+    await executeCommand('inserir em autores (id, nome) valores (10, "Ana"), (11)', queryExecutor);
+    
+    // 8. Transações
+    console.log('📋 Teste 7: Transações...');
+    await executeCommand('iniciar transacao', queryExecutor);
+    await executeCommand('inserir em usuarios (id, nome, idade, email) valores (4, "Ana", 28, "ana@email.com")', queryExecutor);
+    await executeCommand('desfazer', queryExecutor);
+    await executeCommand('iniciar', queryExecutor);
+    await executeCommand('atualizar usuarios definir idade = idade + 1', queryExecutor);
+    await executeCommand('confirmar', queryExecutor);
+    await executeCommand('selecionar nome, idade de usuarios', queryExecutor);
+    
+    // 9. Índices
+    console.log('📋 Teste 8: Índices...');
+    await executeCommand('criar indice idx_posts_usuario em posts (usuario_id)', queryExecutor);
+    await executeCommand('criar unico indice idx_usuarios_email em usuarios (email)', queryExecutor);
+    await executeCommand('inserir em usuarios (id, nome, idade, email) valores (5, "Clone", 40, "joao@email.com")', queryExecutor);
+    await executeCommand('selecionar titulo de posts onde usuario_id = 1', queryExecutor);
+    await executeCommand('selecionar nome de usuarios onde email em ("joao@email.com", "pedro@email.com")', queryExecutor);
+    await executeCommand('descrever tabela posts', queryExecutor);
+    await executeCommand('explicar selecionar u.nome, p.titulo de usuarios u juntar posts p em p.usuario_id = u.id onde p.usuario_id = 1 e u.idade > 20', queryExecutor);
+    await executeCommand('criar indice idx_usuarios_id em usuarios (id)', queryExecutor);
+    await executeCommand('explicar selecionar u.nome, p.titulo de usuarios u juntar posts p em p.usuario_id = u.id onde u.id >= 1 e p.usuario_id >= 1', queryExecutor);
+    await executeCommand('selecionar u.nome, p.titulo de usuarios u juntar posts p em p.usuario_id = u.id onde u.id >= 1 e p.usuario_id >= 1', queryExecutor);
+    await executeCommand('apagar indice idx_posts_usuario', queryExecutor);
+    
+    // 10. ALTER / DROP TABLE
+    console.log('📋 Teste 9: ALTER e DROP TABLE...');
+    await executeCommand('alterar tabela usuarios adicionar coluna ativo:numero padrao 1', queryExecutor);
+    await executeCommand('alterar tabela usuarios adicionar coluna codigo:numero primaria chave', queryExecutor);
+    await executeCommand('alterar tabela usuarios adicionar coluna cpf:texto unico padrao "000"', queryExecutor);
+    await executeCommand('alterar tabela usuarios renomear coluna email para contato', queryExecutor);
+    await executeCommand('alterar tabela posts remover coluna conteudo', queryExecutor);
+    await executeCommand('alterar tabela posts renomear para artigos', queryExecutor);
+    await executeCommand('selecionar * de usuarios', queryExecutor);
+    await executeCommand('apagar tabela artigos', queryExecutor);
+    
     console.log('\n🎉 Todos os testes concluídos com sucesso!');
     
   } catch (error) {
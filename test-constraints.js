@@ -3,6 +3,7 @@ const { Lexer } = require('./src/parser/lexer');
 const { Parser } = require('./src/parser/parser');
 const { QueryExecutor } = require('./src/query/executor');
 const { StorageManager } = require('./src/storage/manager');
+const { lerArquivo, escreverArquivo } = require('./src/util');
 
 async function testConstraints() {
   console.log('🔒 Testando Constraints no TagonJS v2.0\n');
@@ -56,6 +57,17 @@ async function testConstraints() {
       console.log('✅ UNIQUE constraint funcionando: ' + error.message);
     }
     
+    // Lote: um email repetido dentro do próprio INSERT cancela todas as linhas
+    await executeCommand('inserir em usuarios (email, nome) valores ("ana@email.com", "Ana"), ("ana@email.com", "Ana Duplicada")', queryExecutor);
+    
+    // UPSERT: o email já existe, então o registro existente é atualizado (ou mantido)
+    await executeCommand('inserir em usuarios (email, nome, idade) valores ("joao@email.com", "João", 31) ao conflitar (email) atualizar definir idade = novo.idade', queryExecutor);
+    // O valor proposto só é lido como 'novo.coluna': outro prefixo é um erro, e não o valor atual
+    await executeCommand('inserir em usuarios (email, nome, idade) valores ("joao@email.com", "João", 40) ao conflitar (email) atualizar definir idade = excluido.idade', queryExecutor);
+    await executeCommand('inserir em usuarios (email, nome) valores ("maria@email.com", "Maria Clone") ao conflitar ignorar', queryExecutor);
+    await executeCommand('inserir em usuarios (email, nome) valores ("x@email.com", "X") ao conflitar (nome) ignorar', queryExecutor);
+    await executeCommand('selecionar email, nome, idade de usuarios', queryExecutor);
+    
     // 5. Testar NOT NULL constraint
     console.log('📋 Teste 5: Testando NOT NULL constraint...');
     try {
@@ -74,11 +86,90 @@ async function testConstraints() {
       console.log('✅ FOREIGN KEY constraint funcionando: ' + error.message);
     }
     
-    // 7. Verificar dados finais
-    console.log('📋 Teste 7: Verificando dados finais...');
+    // 7. Testar constraints no UPDATE (o UPDATE inteiro falha se alguma linha violar)
+    console.log('📋 Teste 7: Testando constraints no UPDATE...');
+    await executeCommand('inserir em usuarios (email, nome) valores ("ana@email.com", "Ana")', queryExecutor);
+    await executeCommand('atualizar usuarios definir id = 1 onde email = "ana@email.com"', queryExecutor);
+    await executeCommand('atualizar usuarios definir email = "maria@email.com" onde nome = "João"', queryExecutor);
+    await executeCommand('atualizar posts definir usuario_id = 999', queryExecutor);
+    await executeCommand('atualizar usuarios definir idade = "vinte"', queryExecutor);
+    await executeCommand('atualizar usuarios definir idade = idade + 1', queryExecutor);
+    
+    // 8. Testar ações referenciais (RESTRICT, CASCADE, SET NULL)
+    console.log('📋 Teste 8: Testando ações referenciais...');
+    await executeCommand(`
+      criar tabela comentarios (
+        id:numero auto incremento primaria chave,
+        texto:texto,
+        post_id:numero,
+        autor_id:numero,
+        estrangeira chave (post_id) referencia posts (id) ao remover cascata ao atualizar cascata,
+        estrangeira chave (autor_id) referencia usuarios (id) ao remover anular
+      )
+    `, queryExecutor);
+    await executeCommand('inserir em comentarios (texto, post_id, autor_id) valores ("Ótimo post", 1, 2)', queryExecutor);
+    await executeCommand('remover de usuarios onde id = 1', queryExecutor);
+    await executeCommand('atualizar posts definir id = 10 onde id = 1', queryExecutor);
+    await executeCommand('remover de usuarios onde id = 2', queryExecutor);
+    await executeCommand('selecionar * de comentarios', queryExecutor);
+    await executeCommand('remover de posts onde id = 10', queryExecutor);
+    await executeCommand('selecionar * de comentarios', queryExecutor);
+    
+    // 9. Testar tipos de coluna
+    console.log('📋 Teste 9: Testando tipos de coluna...');
+    await executeCommand(`
+      criar tabela produtos (
+        codigo:texto(5) primaria chave,
+        preco:numero,
+        ativo:booleano,
+        ref:uuid
+      )
+    `, queryExecutor);
+    await executeCommand('inserir em produtos (codigo, preco, ativo) valores ("007", "19.90", "verdadeiro")', queryExecutor);
+    await executeCommand('inserir em produtos (codigo, preco) valores ("ABCDEF", 10)', queryExecutor);
+    await executeCommand('inserir em produtos (codigo, preco) valores ("X1", "caro")', queryExecutor);
+    await executeCommand('inserir em produtos (codigo, ref) valores ("X2", "nao-e-uuid")', queryExecutor);
+    await executeCommand('atualizar produtos definir ativo = "talvez" onde codigo = "007"', queryExecutor);
+    await executeCommand('selecionar * de produtos', queryExecutor);
+    
+    await executeCommand('criar tabela eventos (id:numero primaria chave, dia:data, inicio:datahora)', queryExecutor);
+    await executeCommand('inserir em eventos (id, dia, inicio) valores (1, "2024-3-1", "2024-03-01 09:30")', queryExecutor);
+    await executeCommand('inserir em eventos (id, dia, inicio) valores (2, data "2023-12-25", datahora "2023-12-25T20:00-03:00")', queryExecutor);
+    await executeCommand('inserir em eventos (id, dia) valores (3, "2024-02-30")', queryExecutor);
+    await executeCommand('selecionar id, dia, inicio, ano(dia), mes(dia), adicionar_dias(dia, 30) de eventos ordenar por inicio', queryExecutor);
+    await executeCommand('selecionar id, diferenca_dias(data "2024-03-01", dia) de eventos onde dia < data "2024-01-01"', queryExecutor);
+    await executeCommand('selecionar id, dia + 1, inicio - 1 de eventos onde inicio >= "2024-03-01 09:30"', queryExecutor);
+    // Um texto com cara de data continua texto: '+' concatena
+    await executeCommand('selecionar id, texto(dia) + "-A", data "2024-02-28" + 1 de eventos onde id = 1', queryExecutor);
+    
+    // 10. Verificar dados finais
+    console.log('📋 Teste 10: Verificando dados finais...');
     await executeCommand('selecionar * de usuarios', queryExecutor);
     await executeCommand('selecionar * de posts', queryExecutor);
     
+    // 11. Recuperação pelo journal: a gravação foi interrompida depois da entrada no
+    // journal, deixando o arquivo principal na versão anterior e truncado
+    console.log('📋 Teste 11: Recuperando o banco pelo journal...');
+    const filePath = 'dados/constraint_test.xml';
+    const previousContent = await lerArquivo(filePath);
+    await executeCommand('inserir em eventos (id, dia) valores (4, data "2024-04-01")', queryExecutor);
+    const dbData = await storageManager.loadDatabase('constraint_test');
+    await storageManager.journal.append('constraint_test', {
+      versao: Number(dbData.banco['@versao']),
+      data: new Date().toISOString(),
+      operacoes: ["inserir em 'eventos'"],
+      conteudo: await lerArquivo(filePath)
+    });
+    await escreverArquivo(filePath, previousContent.substring(0, Math.floor(previousContent.length / 2)));
+
+    const recoveredStorage = new StorageManager();
+    for (const recovery of await recoveredStorage.initialize()) {
+      console.log(`✅ Banco '${recovery.banco}' recuperado do journal (versão ${recovery.versao}): ${recovery.operacoes.join(', ')}`);
+    }
+    const recoveredExecutor = new QueryExecutor(recoveredStorage);
+    recoveredExecutor.setCurrentDatabase('constraint_test');
+    await executeCommand('selecionar id, dia de eventos onde id = 4', recoveredExecutor);
+    
     console.log('\n🎉 Todos os testes de constraints concluídos!');
     
   } catch (error) {
@@ -16,9 +16,45 @@ function testarParser() {
    // SELECT complexo
    'selecionar u.nome, count(*) de usuarios u esquerda juntar posts p em u.id = p.usuario_id onde u.idade > 21 agrupar por u.nome ordenar por u.nome crescente',
    
+   // Expressões aritméticas e precedência
+   'selecionar preco * 2, -desconto, (preco + 1) % 3 de produtos onde preco - 1 > 10 e nao estoque = 0 ou id = -1',
+   
+   // SELECT com literais booleanos e testes de nulidade
+   'selecionar nome de usuarios onde ativo = verdadeiro e email não é nulo ou apelido é nulo',
+   
+   // Subconsultas (escalar, em, existe e tabela derivada)
+   'selecionar nome, (selecionar contar(*) de posts p onde p.usuario_id = u.id) total de (selecionar * de usuarios) u onde id em (selecionar usuario_id de posts) ou nao existe (selecionar * de posts)',
+   
+   // IN, BETWEEN e NOT (o 'em' do JOIN continua sendo ON)
+   'selecionar u.nome de usuarios u juntar posts p em u.id = p.usuario_id onde u.id em (1, 2) e idade nao entre 10 e 17 e nome nao como "A%"',
+   
+   // RIGHT, FULL e CROSS JOIN
+   'selecionar u.nome, p.titulo, c.texto de usuarios u completa juntar posts p em u.id = p.usuario_id direita juntar comentarios c em c.post_id = p.id cruzar tags t',
+   
+   // tabela.*
+   'selecionar u.*, p.titulo de usuarios u juntar posts p em u.id = p.usuario_id',
+   
+   // DISTINCT
+   'selecionar distinto u.nome, p.usuario_id de usuarios u juntar posts p em u.id = p.usuario_id ordenar por u.nome limitar 3',
+   
+   // Literais e funções de data
+   'selecionar * de eventos onde dia entre data "2024-01-01" e hoje() e inicio < datahora "2024-06-30 18:00"',
+   
+   // Funções escalares
+   'selecionar maiusculo(nome), arredondar(preco * 1.1, 2), coalescer(email, "-") de usuarios onde tamanho(nome) > 3',
+   
+   // EXPLAIN
+   'explicar selecionar u.nome de usuarios u juntar posts p em u.id = p.usuario_id onde u.idade > 21',
+   
    // INSERT
    'inserir em usuarios (nome, idade, email) valores ("João", 25, "joao@email.com")',
    
+   // INSERT com várias linhas e INSERT ... SELECT
+   'inserir em usuarios (nome, idade) valores ("Ana", 28), ("Bruno", 19)',
+   'inserir em arquivo (id, nome) selecionar id, nome de usuarios onde idade > 60',
+   'inserir em estoque (sku, qtd) valores ("a1", 5) ao conflitar (sku) atualizar definir qtd = qtd + novo.qtd',
+   'inserir em estoque (sku, qtd) valores ("a1", 5) ao conflitar ignorar',
+   
    // UPDATE
    'atualizar usuarios definir idade = 26 onde nome = "João"',
    